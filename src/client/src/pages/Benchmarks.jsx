@@ -1,6 +1,14 @@
 import React, { useState, useEffect } from 'react';
 import { modelsAPI, benchmarksAPI } from '../utils/api';
 
+// Prompt shown for a scenario: its `prompt`, its dataset, or the last user message of its `messages`
+const getScenarioPreview = (scenario) => {
+  if (scenario.prompt) return scenario.prompt;
+  if (scenario.dataset) return `Dataset: ${scenario.dataset.path} (${scenario.dataset.sampling || 'sequential'})`;
+  const userMessages = (scenario.messages || []).filter(m => m.role === 'user');
+  return userMessages[userMessages.length - 1]?.content || '';
+};
+
 function Benchmarks() {
   const [models, setModels] = useState([]);
   const [suites, setSuites] = useState([]);
@@ -8,14 +16,35 @@ function Benchmarks() {
   const [selectedModels, setSelectedModels] = useState([]);
   const [selectedScenarios, setSelectedScenarios] = useState([]);
   const [recentRuns, setRecentRuns] = useState([]);
+  const [queue, setQueue] = useState({ active: null, queue: [] });
   const [stats, setStats] = useState(null);
   const [config, setConfig] = useState({
     iterations: 5,
+    adaptive_iterations: false, // Sample until the p50 latency CI is within target_ci_width
+    min_iterations: 5,
+    max_iterations: 50,
+    target_ci_width: 0.1,
+    warmup_iterations: null, // null = suite default
     concurrency: 1,
+    execution_order: 'sequential', // sequential | round-robin | randomized (seed stored with the run)
+    execution_seed: null, // null = new random seed
     timeout: 60000, // 60 seconds - increased for ARM/NPU inference
     temperature: 0.7,
-    streaming: true
+    streaming: true,
+    resource_sample_interval: 1000, // ms between background CPU/RAM/GPU samples
+    stall_threshold: 250, // Gap between streamed tokens (ms) counted as a stall
+    thermal_temp_threshold: 90, // °C at or above which an iteration is flagged as throttled
+    thermal_speed_drop: 0.15, // Clock drop (fraction of the run's highest clock) flagged as throttled
+    cooldown_temp: null, // Wait until the CPU is below this temperature (°C) between requests; null = fixed 100 ms
+    cooldown_timeout: 300, // Longest cooldown wait (seconds)
+    soak_duration: null, // Minutes to replay the selected scenarios in rotation instead of iterations; null = off
+    soak_window: 5, // Rolling window (minutes) for drift and memory growth analysis
+    judge_model_id: null // Optional loaded model that scores output quality
   });
+  // Parameter grid inputs: comma-separated value lists, and whether to run both streaming modes
+  const [paramGrid, setParamGrid] = useState({ max_tokens: '', temperature: '', streaming: false });
+  // SLO inputs: per-request limits in ms (empty = no limit) and the share of requests that must meet them (%)
+  const [slo, setSlo] = useState({ ttft: '', tpot: '', latency: '', target: 95 });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
@@ -27,11 +56,13 @@ function Benchmarks() {
     loadModels();
     loadSuites();
     loadRecentRuns();
+    loadQueue();
     
-    // Auto-refresh models and runs every 3 seconds
+    // Auto-refresh models, runs and queue every 3 seconds
     const interval = setInterval(() => {
       loadModels();
       loadRecentRuns();
+      loadQueue();
     }, 3000);
     
     return () => clearInterval(interval);
@@ -39,7 +70,7 @@ function Benchmarks() {
 
   // Poll run status when a run is in progress
   useEffect(() => {
-    if (!currentRunId) return;
+    if (!currentRunId || (runStatus !== 'running' && runStatus !== 'queued')) return;
     
     const interval = setInterval(async () => {
       try {
@@ -49,12 +80,14 @@ function Benchmarks() {
           setRunProgress(res.data.progress);
         }
 
-        // Stop polling when not running
-        if (res.data.status !== 'running') {
+        // Stop polling when not running or waiting in the queue
+        if (res.data.status !== 'running' && res.data.status !== 'queued') {
           clearInterval(interval);
           loadRecentRuns();
           if (res.data.status === 'completed') {
             setSuccess('✅ Benchmark completed!');
+          } else if (res.data.status === 'cancelled') {
+            setSuccess('⏹️ Benchmark cancelled. Results saved so far are kept.');
           } else if (res.data.status === 'failed') {
             setError('❌ Benchmark failed. Check logs for details.');
           }
@@ -65,7 +98,7 @@ function Benchmarks() {
     }, 2000);
 
     return () => clearInterval(interval);
-  }, [currentRunId]);
+  }, [currentRunId, runStatus]);
 
   const loadModels = async () => {
     try {
@@ -121,6 +154,33 @@ function Benchmarks() {
     }
   };
 
+  const loadQueue = async () => {
+    try {
+      const res = await benchmarksAPI.getQueue();
+      setQueue(res.data);
+    } catch (err) {
+      console.warn('Failed to load benchmark queue:', err);
+    }
+  };
+
+  const handleMoveInQueue = async (runId, position) => {
+    try {
+      const res = await benchmarksAPI.moveInQueue(runId, position);
+      setQueue({ active: res.data.active, queue: res.data.queue });
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const handleRemoveFromQueue = async (runId) => {
+    try {
+      await benchmarksAPI.removeFromQueue(runId);
+      loadQueue();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
   const handleSuiteChange = (suiteName) => {
     setSelectedSuite(suiteName);
     const suite = suites.find(s => s.name === suiteName);
@@ -157,6 +217,26 @@ function Benchmarks() {
     );
   };
 
+  // Parameter grid sent with the run (null without any axis); values are validated by the server
+  const getParamGrid = () => {
+    const list = (text) => text.split(',').map(v => v.trim()).filter(Boolean);
+    const grid = {};
+    if (list(paramGrid.max_tokens).length > 0) grid.max_tokens = list(paramGrid.max_tokens);
+    if (list(paramGrid.temperature).length > 0) grid.temperature = list(paramGrid.temperature);
+    if (paramGrid.streaming) grid.streaming = [true, false];
+    return Object.keys(grid).length > 0 ? grid : null;
+  };
+  const gridCombinations = Object.values(getParamGrid() || {}).reduce((count, values) => count * values.length, 1);
+
+  // SLO sent with the run (null without any limit, so the suite's SLO applies)
+  const getSlo = () => {
+    const limits = {};
+    for (const key of ['ttft', 'tpot', 'latency']) {
+      if (slo[key] !== '') limits[key] = parseFloat(slo[key]);
+    }
+    return Object.keys(limits).length > 0 ? { ...limits, target: slo.target / 100 } : null;
+  };
+
   const handleRunBenchmark = async (e) => {
     e.preventDefault();
     
@@ -183,14 +263,17 @@ function Benchmarks() {
         modelIds: selectedModels,
         suiteName: selectedSuite,
         selectedScenarios: selectedScenarios, // Pass selected scenarios
-        config
+        config: { ...config, param_grid: getParamGrid(), slo: getSlo() }
       });
       if (res.data.runId) {
         setCurrentRunId(res.data.runId);
-        setRunStatus('running');
+        setRunStatus(res.data.position ? 'queued' : 'running');
         setRunProgress(0);
       }
-      setSuccess(`Benchmark started with ${selectedScenarios.length} scenario(s)! Run ID: ${res.data.runId || 'n/a'}`);
+      setSuccess(res.data.position
+        ? `Benchmark queued at position ${res.data.position} with ${selectedScenarios.length} scenario(s). Run ID: ${res.data.runId}`
+        : `Benchmark started with ${selectedScenarios.length} scenario(s)! Run ID: ${res.data.runId || 'n/a'}`);
+      loadQueue();
       setTimeout(() => setSuccess(null), 5000);
       
       // Optional: navigate to results page with run param
@@ -202,6 +285,37 @@ function Benchmarks() {
     }
   };
 
+  const handleCancelRun = async (runId) => {
+    if (!window.confirm('Cancel this benchmark run? Results saved so far will be kept.')) {
+      return;
+    }
+
+    try {
+      await benchmarksAPI.cancel(runId);
+      loadRecentRuns();
+      loadQueue();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const handleResumeRun = async (runId) => {
+    try {
+      const res = await benchmarksAPI.resume(runId);
+      setCurrentRunId(runId);
+      setRunStatus(res.data.position ? 'queued' : 'running');
+      setRunProgress(0);
+      setSuccess(res.data.position
+        ? `Benchmark resume queued at position ${res.data.position}. Run ID: ${runId}`
+        : `Benchmark resumed! Run ID: ${runId}`);
+      loadQueue();
+      setTimeout(() => setSuccess(null), 5000);
+      loadRecentRuns();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
   const currentSuite = suites.find(s => s.name === selectedSuite);
 
   return (
@@ -222,6 +336,85 @@ function Benchmarks() {
             </div>
             <p style={{ marginTop: '0.5rem', color: '#3498db', fontWeight: 'bold' }}>{runProgress || 0}% completed</p>
           </div>
+          <button className="btn btn-danger" onClick={() => handleCancelRun(currentRunId)}>
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {/* Run Queue */}
+      {(queue.active || queue.queue.length > 0) && (
+        <div className="card" style={{ marginBottom: '1.5rem' }}>
+          <div className="card-header">🗂️ Run Queue</div>
+          <p style={{ marginBottom: '1rem', color: '#7f8c8d' }}>
+            Runs share the single Foundry Local service, so they are started one at a time in this order.
+          </p>
+          <table className="table" style={{ marginBottom: 0 }}>
+            <thead>
+              <tr>
+                <th>Position</th>
+                <th>Suite</th>
+                <th>Models</th>
+                <th>Scenarios</th>
+                <th>Queued</th>
+                <th>Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {queue.active && (
+                <tr>
+                  <td><strong>🔄 Running</strong></td>
+                  <td><strong>{queue.active.suite_name}</strong>{queue.active.resume && ' (resume)'}</td>
+                  <td style={{ fontSize: '0.85rem', color: '#7f8c8d' }}>{queue.active.model_aliases?.join(', ')}</td>
+                  <td>{queue.active.scenarios.length}</td>
+                  <td style={{ fontSize: '0.85rem' }}>{new Date(queue.active.enqueued_at).toLocaleTimeString()}</td>
+                  <td>
+                    <button
+                      className="btn btn-sm btn-danger"
+                      onClick={() => handleCancelRun(queue.active.id)}
+                      style={{ fontSize: '0.8rem', padding: '4px 12px' }}
+                    >
+                      Cancel
+                    </button>
+                  </td>
+                </tr>
+              )}
+              {queue.queue.map((entry) => (
+                <tr key={entry.id}>
+                  <td><strong>#{entry.position}</strong></td>
+                  <td><strong>{entry.suite_name}</strong>{entry.resume && ' (resume)'}</td>
+                  <td style={{ fontSize: '0.85rem', color: '#7f8c8d' }}>{entry.model_aliases?.join(', ')}</td>
+                  <td>{entry.scenarios.length}</td>
+                  <td style={{ fontSize: '0.85rem' }}>{new Date(entry.enqueued_at).toLocaleTimeString()}</td>
+                  <td>
+                    <button
+                      className="btn btn-sm btn-secondary"
+                      onClick={() => handleMoveInQueue(entry.id, entry.position - 1)}
+                      disabled={entry.position === 1}
+                      style={{ fontSize: '0.8rem', padding: '4px 12px' }}
+                    >
+                      ↑
+                    </button>
+                    <button
+                      className="btn btn-sm btn-secondary"
+                      onClick={() => handleMoveInQueue(entry.id, entry.position + 1)}
+                      disabled={entry.position === queue.queue.length}
+                      style={{ fontSize: '0.8rem', padding: '4px 12px', marginLeft: '0.5rem' }}
+                    >
+                      ↓
+                    </button>
+                    <button
+                      className="btn btn-sm btn-danger"
+                      onClick={() => handleRemoveFromQueue(entry.id)}
+                      style={{ fontSize: '0.8rem', padding: '4px 12px', marginLeft: '0.5rem' }}
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
         </div>
       )}
 
@@ -286,6 +479,8 @@ function Benchmarks() {
                   const isRunning = run.status === 'running';
                   const isFailed = run.status === 'failed';
                   const isCompleted = run.status === 'completed';
+                  const isCancelled = run.status === 'cancelled';
+                  const isInterrupted = run.status === 'interrupted';
                   
                   return (
                     <tr key={run.id}>
@@ -301,7 +496,31 @@ function Benchmarks() {
                         </span>
                       </td>
                       <td style={{ fontSize: '0.8rem', color: '#7f8c8d' }}>
-                        {run.config?.iterations || 0} iter × {run.config?.timeout || 30000}ms timeout
+                        {run.config?.adaptive_iterations
+                          ? `${run.config.min_iterations}-${run.config.max_iterations} iter (adaptive)`
+                          : `${run.config?.iterations || 0} iter`} × {run.config?.concurrency || 1} parallel × {run.config?.timeout || 30000}ms timeout
+                        {run.config?.execution_order && run.config.execution_order !== 'sequential' && (
+                          <div>
+                            {run.config.execution_order}
+                            {run.config.execution_seed !== undefined && run.config.execution_seed !== null && ` (seed ${run.config.execution_seed})`}
+                          </div>
+                        )}
+                        {run.config?.soak_duration && (
+                          <div>soak {run.config.soak_duration} min</div>
+                        )}
+                        {run.config?.param_grid && (
+                          <div>
+                            grid: {Object.entries(run.config.param_grid).map(([key, values]) => `${key} ${values.join('/')}`).join(' × ')}
+                          </div>
+                        )}
+                        {run.config?.slo && (
+                          <div>
+                            SLO: {['ttft', 'tpot', 'latency']
+                              .filter(key => run.config.slo[key])
+                              .map(key => `${key.toUpperCase()} ≤ ${run.config.slo[key]}ms`)
+                              .join(', ')} ({(run.config.slo.target * 100).toFixed(0)}%)
+                          </div>
+                        )}
                       </td>
                       <td>
                         <span style={{
@@ -309,14 +528,16 @@ function Benchmarks() {
                           borderRadius: '12px',
                           fontSize: '0.75rem',
                           fontWeight: 'bold',
-                          background: isRunning ? '#fff3cd' : isCompleted ? '#d4edda' : '#f8d7da',
-                          color: isRunning ? '#856404' : isCompleted ? '#155724' : '#721c24',
+                          background: isRunning ? '#fff3cd' : isCompleted ? '#d4edda' : isCancelled ? '#e2e3e5' : '#f8d7da',
+                          color: isRunning ? '#856404' : isCompleted ? '#155724' : isCancelled ? '#383d41' : '#721c24',
                           display: 'inline-block'
                         }}>
                           {isRunning && '🔄 Running'}
                           {isCompleted && '✅ Completed'}
                           {isFailed && '❌ Failed'}
-                          {!isRunning && !isCompleted && !isFailed && run.status}
+                          {isCancelled && '⏹️ Cancelled'}
+                          {isInterrupted && '⚠️ Interrupted'}
+                          {!isRunning && !isCompleted && !isFailed && !isCancelled && !isInterrupted && run.status}
                         </span>
                       </td>
                       <td style={{ fontSize: '0.85rem' }}>
@@ -330,6 +551,24 @@ function Benchmarks() {
                         >
                           View Results
                         </button>
+                        {(isInterrupted || isCancelled || isFailed) && (
+                          <button
+                            className="btn btn-sm btn-success"
+                            onClick={() => handleResumeRun(run.id)}
+                            style={{ fontSize: '0.8rem', padding: '4px 12px', marginLeft: '0.5rem' }}
+                          >
+                            Resume
+                          </button>
+                        )}
+                        {isRunning && (
+                          <button
+                            className="btn btn-sm btn-danger"
+                            onClick={() => handleCancelRun(run.id)}
+                            style={{ fontSize: '0.8rem', padding: '4px 12px', marginLeft: '0.5rem' }}
+                          >
+                            Cancel
+                          </button>
+                        )}
                       </td>
                     </tr>
                   );
@@ -442,10 +681,16 @@ function Benchmarks() {
                           {scenario.description}
                         </div>
                         <div style={{ fontSize: '0.8rem', color: '#95a5a6', fontStyle: 'italic' }}>
-                          "{scenario.prompt.substring(0, 80)}{scenario.prompt.length > 80 ? '...' : ''}"
+                          "{getScenarioPreview(scenario).substring(0, 80)}{getScenarioPreview(scenario).length > 80 ? '...' : ''}"
                         </div>
                         <div style={{ fontSize: '0.75rem', color: '#bdc3c7', marginTop: '0.25rem' }}>
                           Max tokens: {scenario.max_tokens}
+                          {scenario.messages?.some(m => m.role === 'system') && ' · System prompt'}
+                          {scenario.messages && ` · ${scenario.messages.length} messages`}
+                          {scenario.multi_turn && ` · ${scenario.messages.filter(m => m.role === 'user').length} turns replayed`}
+                          {scenario.type === 'cold_start' && ` · Cold start (model reloaded per request${scenario.evict_page_cache ? ', page cache evicted' : ''})`}
+                          {scenario.type === 'context_sweep' && ` · Context sweep (${scenario.context_lengths?.join(', ') || (scenario.context_range ? `${scenario.context_range.min ?? 128}-${scenario.context_range.max ?? 8192}` : '128-8192')} tokens)`}
+                          {scenario.type === 'load_test' && ` · Open-loop load test (${scenario.arrival || 'poisson'} arrivals, ${scenario.rates?.join(', ') || (scenario.rate_ramp ? `${scenario.rate_ramp.start ?? 0.5}-${scenario.rate_ramp.end ?? 8}` : '0.5-8')} req/s)`}
                         </div>
                       </div>
                     </label>
@@ -499,6 +744,137 @@ function Benchmarks() {
               onChange={(e) => setConfig({ ...config, iterations: parseInt(e.target.value) })}
               min="1"
               max="100"
+              disabled={config.adaptive_iterations}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={config.adaptive_iterations}
+                onChange={(e) => setConfig({ ...config, adaptive_iterations: e.target.checked })}
+                style={{ marginRight: '0.5rem', width: '18px', height: '18px' }}
+              />
+              <span className="form-label" style={{ marginBottom: 0 }}>
+                Adaptive Iterations (stop when the P50 latency is stable)
+              </span>
+            </label>
+          </div>
+          {config.adaptive_iterations && (
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '1rem' }}>
+              <div className="form-group">
+                <label className="form-label">Min Iterations</label>
+                <input
+                  type="number"
+                  className="form-control"
+                  value={config.min_iterations}
+                  onChange={(e) => setConfig({ ...config, min_iterations: parseInt(e.target.value) })}
+                  min="2"
+                  max="100"
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label className="form-label">Max Iterations</label>
+                <input
+                  type="number"
+                  className="form-control"
+                  value={config.max_iterations}
+                  onChange={(e) => setConfig({ ...config, max_iterations: parseInt(e.target.value) })}
+                  min={config.min_iterations}
+                  max="500"
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label className="form-label">
+                  Target CI Width
+                  <span style={{ color: '#7f8c8d', fontWeight: 'normal', marginLeft: '0.5rem' }}>
+                    (95% CI ÷ P50)
+                  </span>
+                </label>
+                <input
+                  type="number"
+                  className="form-control"
+                  value={config.target_ci_width}
+                  onChange={(e) => setConfig({ ...config, target_ci_width: parseFloat(e.target.value) })}
+                  min="0.01"
+                  max="1"
+                  step="0.01"
+                  required
+                />
+              </div>
+            </div>
+          )}
+          <div className="form-group">
+            <label className="form-label">
+              Execution Order
+              <span style={{ color: '#7f8c8d', fontWeight: 'normal', marginLeft: '0.5rem' }}>
+                (Interleave models so thermal drift and background activity affect them equally)
+              </span>
+            </label>
+            <select
+              className="form-control"
+              value={config.execution_order}
+              onChange={(e) => setConfig({ ...config, execution_order: e.target.value })}
+            >
+              <option value="sequential">Sequential (all scenarios of a model, then the next model)</option>
+              <option value="round-robin">Round-robin (each scenario on every model, then the next scenario)</option>
+              <option value="randomized">Randomized (shuffled with a seed stored in the run)</option>
+            </select>
+          </div>
+          {config.execution_order === 'randomized' && (
+            <div className="form-group">
+              <label className="form-label">
+                Seed
+                <span style={{ color: '#7f8c8d', fontWeight: 'normal', marginLeft: '0.5rem' }}>
+                  (Reuse a previous run's seed to repeat its order; leave empty for a new one)
+                </span>
+              </label>
+              <input
+                type="number"
+                className="form-control"
+                value={config.execution_seed ?? ''}
+                onChange={(e) => setConfig({ ...config, execution_seed: e.target.value === '' ? null : parseInt(e.target.value) })}
+                min="0"
+              />
+            </div>
+          )}
+          <div className="form-group">
+            <label className="form-label">
+              Warmup Iterations
+              <span style={{ color: '#7f8c8d', fontWeight: 'normal', marginLeft: '0.5rem' }}>
+                (Run before each scenario, excluded from metrics; leave empty for the suite default)
+              </span>
+            </label>
+            <input
+              type="number"
+              className="form-control"
+              value={config.warmup_iterations ?? ''}
+              placeholder={`Suite default (${currentSuite?.default_config?.warmup_iterations ?? 0})`}
+              onChange={(e) => setConfig({
+                ...config,
+                warmup_iterations: e.target.value === '' ? null : parseInt(e.target.value)
+              })}
+              min="0"
+              max="20"
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">
+              Concurrency
+              <span style={{ color: '#7f8c8d', fontWeight: 'normal', marginLeft: '0.5rem' }}>
+                (Number of requests in flight at the same time)
+              </span>
+            </label>
+            <input
+              type="number"
+              className="form-control"
+              value={config.concurrency}
+              onChange={(e) => setConfig({ ...config, concurrency: parseInt(e.target.value) })}
+              min="1"
+              max="32"
               required
             />
           </div>
@@ -538,6 +914,42 @@ function Benchmarks() {
               required
             />
           </div>
+          <div className="form-group">
+            <label className="form-label">
+              Resource Sample Interval (ms)
+              <span style={{ color: '#7f8c8d', fontWeight: 'normal', marginLeft: '0.5rem' }}>
+                (CPU/RAM/GPU are sampled in the background during each scenario)
+              </span>
+            </label>
+            <input
+              type="number"
+              className="form-control"
+              value={config.resource_sample_interval}
+              onChange={(e) => setConfig({ ...config, resource_sample_interval: parseInt(e.target.value) })}
+              min="100"
+              max="10000"
+              step="100"
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">
+              Stall Threshold (ms)
+              <span style={{ color: '#7f8c8d', fontWeight: 'normal', marginLeft: '0.5rem' }}>
+                (Gaps between streamed tokens longer than this count as stalls)
+              </span>
+            </label>
+            <input
+              type="number"
+              className="form-control"
+              value={config.stall_threshold}
+              onChange={(e) => setConfig({ ...config, stall_threshold: parseFloat(e.target.value) })}
+              min="10"
+              max="10000"
+              step="10"
+              required
+            />
+          </div>
           <div className="form-group">
             <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer' }}>
               <input
@@ -553,6 +965,277 @@ function Benchmarks() {
           </div>
         </div>
 
+        <div className="card">
+          <div className="card-header">Quality Scoring (optional)</div>
+          <div className="form-group">
+            <label className="form-label">
+              Judge Model
+              <span style={{ color: '#7f8c8d', fontWeight: 'normal', marginLeft: '0.5rem' }}>
+                (Scores each output 1-10 against the suite's rubric after the timed iterations)
+              </span>
+            </label>
+            <select
+              className="form-control"
+              value={config.judge_model_id || ''}
+              onChange={(e) => setConfig({ ...config, judge_model_id: e.target.value || null })}
+            >
+              <option value="">No judge</option>
+              {models.map(model => (
+                <option key={model.id} value={model.id}>
+                  {model.alias} ({model.model_id})
+                </option>
+              ))}
+            </select>
+            {config.judge_model_id && !currentSuite?.judge?.rubric && !currentSuite?.scenarios?.some(s => s.rubric) && (
+              <p style={{ marginTop: '0.5rem', color: '#e67e22', fontSize: '0.9rem' }}>
+                This suite has no rubric, so no scenario will be judged.
+              </p>
+            )}
+          </div>
+        </div>
+
+        <div className="card">
+          <div className="card-header">Thermal</div>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '1rem' }}>
+            <div className="form-group">
+              <label className="form-label">
+                Throttle Temperature (°C)
+                <span style={{ color: '#7f8c8d', fontWeight: 'normal', marginLeft: '0.5rem' }}>
+                  (Iterations at or above are flagged)
+                </span>
+              </label>
+              <input
+                type="number"
+                className="form-control"
+                value={config.thermal_temp_threshold}
+                onChange={(e) => setConfig({ ...config, thermal_temp_threshold: parseFloat(e.target.value) })}
+                min="40"
+                max="120"
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label">
+                Clock Drop
+                <span style={{ color: '#7f8c8d', fontWeight: 'normal', marginLeft: '0.5rem' }}>
+                  (Below the run's highest clock by this fraction is flagged)
+                </span>
+              </label>
+              <input
+                type="number"
+                className="form-control"
+                value={config.thermal_speed_drop}
+                onChange={(e) => setConfig({ ...config, thermal_speed_drop: parseFloat(e.target.value) })}
+                min="0.01"
+                max="0.9"
+                step="0.01"
+                required
+              />
+            </div>
+          </div>
+          <div className="form-group">
+            <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={Boolean(config.cooldown_temp)}
+                onChange={(e) => setConfig({ ...config, cooldown_temp: e.target.checked ? 70 : null })}
+                style={{ marginRight: '0.5rem', width: '18px', height: '18px' }}
+              />
+              <span className="form-label" style={{ marginBottom: 0 }}>
+                Cooldown (wait for the CPU to cool down before each scenario and between iterations)
+              </span>
+            </label>
+          </div>
+          {config.cooldown_temp && (
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '1rem' }}>
+              <div className="form-group">
+                <label className="form-label">Cooldown Below (°C)</label>
+                <input
+                  type="number"
+                  className="form-control"
+                  value={config.cooldown_temp}
+                  onChange={(e) => setConfig({ ...config, cooldown_temp: parseFloat(e.target.value) })}
+                  min="30"
+                  max="110"
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label className="form-label">Max Wait (s)</label>
+                <input
+                  type="number"
+                  className="form-control"
+                  value={config.cooldown_timeout}
+                  onChange={(e) => setConfig({ ...config, cooldown_timeout: parseInt(e.target.value) })}
+                  min="10"
+                  max="3600"
+                  required
+                />
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="card">
+          <div className="card-header">Soak Test</div>
+          <div className="form-group">
+            <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={Boolean(config.soak_duration)}
+                onChange={(e) => setConfig({ ...config, soak_duration: e.target.checked ? 120 : null })}
+                style={{ marginRight: '0.5rem', width: '18px', height: '18px' }}
+              />
+              <span className="form-label" style={{ marginBottom: 0 }}>
+                Soak (replay the selected scenarios in rotation for a fixed time instead of a number of iterations)
+              </span>
+            </label>
+          </div>
+          {config.soak_duration && (
+            <>
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '1rem' }}>
+                <div className="form-group">
+                  <label className="form-label">Duration per Model (minutes)</label>
+                  <input
+                    type="number"
+                    className="form-control"
+                    value={config.soak_duration}
+                    onChange={(e) => setConfig({ ...config, soak_duration: parseFloat(e.target.value) })}
+                    min="1"
+                    max="1440"
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label className="form-label">
+                    Window (minutes)
+                    <span style={{ color: '#7f8c8d', fontWeight: 'normal', marginLeft: '0.5rem' }}>
+                      (Latency, TPS and memory are compared between windows)
+                    </span>
+                  </label>
+                  <input
+                    type="number"
+                    className="form-control"
+                    value={config.soak_window}
+                    onChange={(e) => setConfig({ ...config, soak_window: parseFloat(e.target.value) })}
+                    min="0.5"
+                    max="60"
+                    step="0.5"
+                    required
+                  />
+                </div>
+              </div>
+              <p style={{ color: '#7f8c8d' }}>
+                Iterations, warmup and concurrency are ignored; cold-start and load-test scenarios are left out.
+                The run takes about {config.soak_duration * selectedModels.length} minutes for {selectedModels.length} model(s).
+              </p>
+            </>
+          )}
+        </div>
+
+        <div className="card">
+          <div className="card-header">Parameter Grid</div>
+          <p style={{ marginBottom: '1rem', color: '#7f8c8d' }}>
+            Run every selected scenario once per combination of the values below (comma-separated; leave empty to use the
+            settings above). Results are tagged with their values and can be pivoted on the Results page.
+          </p>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '1rem' }}>
+            <div className="form-group">
+              <label className="form-label">Max Tokens</label>
+              <input
+                type="text"
+                className="form-control"
+                value={paramGrid.max_tokens}
+                onChange={(e) => setParamGrid({ ...paramGrid, max_tokens: e.target.value })}
+                placeholder="e.g. 64, 256, 1024"
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Temperature</label>
+              <input
+                type="text"
+                className="form-control"
+                value={paramGrid.temperature}
+                onChange={(e) => setParamGrid({ ...paramGrid, temperature: e.target.value })}
+                placeholder="e.g. 0, 0.7"
+              />
+            </div>
+          </div>
+          <div className="form-group">
+            <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={paramGrid.streaming}
+                onChange={(e) => setParamGrid({ ...paramGrid, streaming: e.target.checked })}
+                style={{ marginRight: '0.5rem', width: '18px', height: '18px' }}
+              />
+              <span className="form-label" style={{ marginBottom: 0 }}>
+                Streaming on and off (measures streaming overhead)
+              </span>
+            </label>
+          </div>
+          {gridCombinations > 1 && (
+            <p style={{ color: '#3498db', fontWeight: 'bold' }}>
+              {gridCombinations} combinations × {selectedScenarios.length} scenario(s) per model
+            </p>
+          )}
+        </div>
+
+        <div className="card">
+          <div className="card-header">SLOs</div>
+          <p style={{ marginBottom: '1rem', color: '#7f8c8d' }}>
+            Per-request limits (leave empty for none, or to use the suite's SLO). Each result reports the share of
+            requests meeting every limit and the goodput: tokens/s counting only those requests.
+          </p>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '1rem' }}>
+            <div className="form-group">
+              <label className="form-label">TTFT (ms)</label>
+              <input
+                type="number"
+                className="form-control"
+                value={slo.ttft}
+                onChange={(e) => setSlo({ ...slo, ttft: e.target.value })}
+                min="1"
+                placeholder="e.g. 500"
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label">TPOT (ms)</label>
+              <input
+                type="number"
+                className="form-control"
+                value={slo.tpot}
+                onChange={(e) => setSlo({ ...slo, tpot: e.target.value })}
+                min="1"
+                placeholder="e.g. 50"
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label">End-to-End Latency (ms)</label>
+              <input
+                type="number"
+                className="form-control"
+                value={slo.latency}
+                onChange={(e) => setSlo({ ...slo, latency: e.target.value })}
+                min="1"
+                placeholder="e.g. 5000"
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Pass Target (%)</label>
+              <input
+                type="number"
+                className="form-control"
+                value={slo.target}
+                onChange={(e) => setSlo({ ...slo, target: parseFloat(e.target.value) })}
+                min="1"
+                max="100"
+                required
+              />
+            </div>
+          </div>
+        </div>
+
         <div className="card">
           <button 
             type="submit" 
@@ -178,6 +178,8 @@ function Models() {
                 <th>Model ID</th>
                 <th>Status</th>
                 <th>Endpoint</th>
+                <th title="Duration of the last load (download time shown separately)">Load Time</th>
+                <th title="Service memory growth caused by the last load (RSS; private memory where available)">Load Memory</th>
                 <th>Actions</th>
               </tr>
             </thead>
@@ -188,6 +190,22 @@ function Models() {
                   <td><code>{model.model_id}</code></td>
                   <td>{getStatusBadge(model.status)}</td>
                   <td>{model.endpoint || '-'}</td>
+                  <td>
+                    {model.load_time ? `${(model.load_time / 1000).toFixed(1)} s` : '-'}
+                    {model.download_time ? (
+                      <span style={{ color: '#7f8c8d' }}> (+{(model.download_time / 1000).toFixed(0)} s download)</span>
+                    ) : null}
+                  </td>
+                  <td>
+                    {model.load_memory ? (
+                      <span title={`Service RSS after load: ${model.load_memory.rss_after_mb.toFixed(0)} MB`}>
+                        {model.load_memory.rss_delta_mb >= 0 ? '+' : ''}{model.load_memory.rss_delta_mb.toFixed(0)} MB
+                        {model.load_memory.private_delta_mb !== null && (
+                          <span style={{ color: '#7f8c8d' }}> ({model.load_memory.private_delta_mb.toFixed(0)} MB private)</span>
+                        )}
+                      </span>
+                    ) : '-'}
+                  </td>
                   <td>
                     {model.status === 'stopped' || model.status === 'error' ? (
                       <button 
@@ -1,6 +1,50 @@
 import React, { useState, useEffect } from 'react';
 import { benchmarksAPI } from '../utils/api';
-import { BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell, RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis, Radar } from 'recharts';
+import { BarChart, Bar, ErrorBar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell, RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis, Radar, ReferenceArea, ReferenceLine } from 'recharts';
+
+// How output tokens were counted for a result (see token_count_method)
+const TOKEN_COUNT_METHODS = {
+  usage: { label: 'Usage', color: '#27ae60', title: 'Reported by the service' },
+  tokenizer: { label: 'Tokenizer', color: '#2980b9', title: 'Counted with the model family tokenizer' },
+  estimate: { label: 'Estimate', color: '#e67e22', title: 'Counted with an approximate tokenizer' },
+  chunks: { label: 'Chunks', color: '#e74c3c', title: 'Stream chunks counted as tokens' }
+};
+
+// Why a scenario stopped sampling (see stop_reason)
+const STOP_REASONS = {
+  fixed: 'Fixed count',
+  ci_target: 'Stable (CI target met)',
+  max_iterations: 'Max iterations reached',
+  saturated: 'Saturated (knee found)',
+  ramp_complete: 'Ramp completed',
+  duration: 'Soak duration reached'
+};
+
+// Per-iteration metrics summarized in result.stats
+const STATS_METRICS = {
+  latency: 'Latency (ms)',
+  ttft: 'TTFT (ms)',
+  tpot: 'TPOT (ms)',
+  tokens: 'Output tokens'
+};
+
+// Metrics the parameter grid pivot can show (mean over the results in each cell)
+const GRID_METRICS = {
+  tps: 'TPS',
+  ttft: 'TTFT (ms)',
+  tpot: 'TPOT (ms)',
+  latency_p50: 'P50 Latency (ms)',
+  latency_p95: 'P95 Latency (ms)',
+  total_tokens: 'Output tokens',
+  error_rate: 'Error rate (%)'
+};
+
+// Metrics plotted against context length for context sweeps
+const SWEEP_METRICS = {
+  ttft: 'TTFT (ms)',
+  prefill_tps: 'Prefill throughput (tokens/s)',
+  tpot: 'TPOT (ms)'
+};
 
 function Results() {
   const [runs, setRuns] = useState([]);
@@ -9,8 +53,21 @@ function Results() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [runStatus, setRunStatus] = useState(null);
+  const [runConfig, setRunConfig] = useState(null);
   const [runProgress, setRunProgress] = useState(0);
+  const [queuePosition, setQueuePosition] = useState(null);
   const [initialRunParam, setInitialRunParam] = useState(null);
+  const [statsMetric, setStatsMetric] = useState('latency');
+  const [timelineResult, setTimelineResult] = useState(0);
+  const [tokenResult, setTokenResult] = useState(0);
+  const [tokenIteration, setTokenIteration] = useState(0);
+  const [sweepMetric, setSweepMetric] = useState('ttft');
+  const [sweepName, setSweepName] = useState(null);
+  const [gridMetric, setGridMetric] = useState('tps');
+  const [loadTestResult, setLoadTestResult] = useState(0);
+  const [soakResult, setSoakResult] = useState(0);
+  const [gridRows, setGridRows] = useState(null);
+  const [gridSeries, setGridSeries] = useState('model');
 
   useEffect(() => {
     // Parse ?run=<runId>
@@ -29,17 +86,19 @@ function Results() {
     }
   }, [selectedRun]);
 
+  // Poll while the selected run is running or waiting in the queue (restarts when a run is resumed)
   useEffect(() => {
-    if (!selectedRun) return;
+    if (!selectedRun || (runStatus !== 'running' && runStatus !== 'queued')) return;
 
     const interval = setInterval(async () => {
       try {
         const res = await benchmarksAPI.status(selectedRun);
         setRunStatus(res.data.status);
+        setQueuePosition(res.data.position || null);
         if (res.data.progress !== null && res.data.progress !== undefined) {
           setRunProgress(res.data.progress);
         }
-        if (res.data.status === 'completed') {
+        if (res.data.status === 'completed' || res.data.status === 'cancelled') {
           clearInterval(interval);
           loadResults(selectedRun);
           loadRuns();
@@ -48,13 +107,17 @@ function Results() {
           clearInterval(interval);
           setError('Benchmark failed. Check logs.');
         }
+        if (res.data.status === 'interrupted') {
+          clearInterval(interval);
+          loadRuns();
+        }
       } catch (err) {
         console.warn('Failed to poll benchmark status:', err);
       }
     }, 2000);
 
     return () => clearInterval(interval);
-  }, [selectedRun]);
+  }, [selectedRun, runStatus]);
 
   const loadRuns = async () => {
     try {
@@ -82,6 +145,7 @@ function Results() {
       setResults(res.data.results);
       if (res.data.run) {
         setRunStatus(res.data.run.status);
+        setRunConfig(res.data.run.config ?? null);
       }
     } catch (err) {
       setError(err.response?.data?.error || err.message);
@@ -108,6 +172,33 @@ function Results() {
     }
   };
 
+  const handleCancel = async () => {
+    if (!window.confirm('Cancel this benchmark run? Results saved so far will be kept.')) {
+      return;
+    }
+
+    try {
+      await benchmarksAPI.cancel(selectedRun);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const handleResume = async () => {
+    try {
+      const res = await benchmarksAPI.resume(selectedRun);
+      setError(null);
+      setRunProgress(0);
+      setQueuePosition(res.data.position || null);
+      setRunStatus(res.data.position ? 'queued' : 'running');
+      loadRuns();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const isResumable = ['interrupted', 'cancelled', 'failed'].includes(runStatus);
+
   // Aggregate results by model for comparison
   const getModelAggregates = () => {
     const modelMap = {};
@@ -120,24 +211,42 @@ function Results() {
           model: modelKey, // Use full model identifier
           tps: [],
           ttft: [],
+          prompt_tokens: [],
+          prefill_tps: [],
           tpot: [],
           gen_tps: [],
           latency_p50: [],
           latency_p95: [],
           latency_p99: [],
           error_rate: [],
+          accuracy: [],
+          judge_score: [],
+          tokens_per_joule: [],
+          joules_per_request: [],
+          slo_compliance: [],
+          slo_pass: [],
           scenarios: 0
         };
       }
 
       if (result.tps) modelMap[modelKey].tps.push(result.tps);
       if (result.ttft) modelMap[modelKey].ttft.push(result.ttft);
+      if (result.prompt_tokens) modelMap[modelKey].prompt_tokens.push(result.prompt_tokens);
+      if (result.prefill_tps) modelMap[modelKey].prefill_tps.push(result.prefill_tps);
       if (result.tpot) modelMap[modelKey].tpot.push(result.tpot);
       if (result.gen_tps) modelMap[modelKey].gen_tps.push(result.gen_tps);
       if (result.latency_p50) modelMap[modelKey].latency_p50.push(result.latency_p50);
       if (result.latency_p95) modelMap[modelKey].latency_p95.push(result.latency_p95);
       if (result.latency_p99) modelMap[modelKey].latency_p99.push(result.latency_p99);
       if (result.error_rate !== null) modelMap[modelKey].error_rate.push(result.error_rate);
+      if (result.accuracy !== null && result.accuracy !== undefined) modelMap[modelKey].accuracy.push(result.accuracy);
+      if (result.judge_score) modelMap[modelKey].judge_score.push(result.judge_score);
+      if (result.tokens_per_joule) modelMap[modelKey].tokens_per_joule.push(result.tokens_per_joule);
+      if (result.joules_per_request) modelMap[modelKey].joules_per_request.push(result.joules_per_request);
+      if (result.slo_pass !== null && result.slo_pass !== undefined) {
+        modelMap[modelKey].slo_compliance.push(result.slo_compliance);
+        modelMap[modelKey].slo_pass.push(Boolean(result.slo_pass));
+      }
       modelMap[modelKey].scenarios++;
     });
 
@@ -145,18 +254,120 @@ function Results() {
       model: m.model, // Full model identifier
       avgTps: m.tps.length ? (m.tps.reduce((a, b) => a + b, 0) / m.tps.length).toFixed(2) : 0,
       avgTtft: m.ttft.length ? (m.ttft.reduce((a, b) => a + b, 0) / m.ttft.length).toFixed(2) : 0,
+      avgPromptTokens: m.prompt_tokens.length ? (m.prompt_tokens.reduce((a, b) => a + b, 0) / m.prompt_tokens.length).toFixed(0) : 0,
+      avgPrefillTps: m.prefill_tps.length ? (m.prefill_tps.reduce((a, b) => a + b, 0) / m.prefill_tps.length).toFixed(2) : 0,
       avgTpot: m.tpot.length ? (m.tpot.reduce((a, b) => a + b, 0) / m.tpot.length).toFixed(2) : 0,
       avgGenTps: m.gen_tps.length ? (m.gen_tps.reduce((a, b) => a + b, 0) / m.gen_tps.length).toFixed(2) : 0,
       avgP50: m.latency_p50.length ? (m.latency_p50.reduce((a, b) => a + b, 0) / m.latency_p50.length).toFixed(0) : 0,
       avgP95: m.latency_p95.length ? (m.latency_p95.reduce((a, b) => a + b, 0) / m.latency_p95.length).toFixed(0) : 0,
       avgP99: m.latency_p99.length ? (m.latency_p99.reduce((a, b) => a + b, 0) / m.latency_p99.length).toFixed(0) : 0,
       avgErrorRate: m.error_rate.length ? (m.error_rate.reduce((a, b) => a + b, 0) / m.error_rate.length).toFixed(2) : 0,
+      avgAccuracy: m.accuracy.length ? (m.accuracy.reduce((a, b) => a + b, 0) / m.accuracy.length).toFixed(1) : null,
+      avgJudgeScore: m.judge_score.length ? (m.judge_score.reduce((a, b) => a + b, 0) / m.judge_score.length).toFixed(1) : null,
+      avgTokensPerJoule: m.tokens_per_joule.length ? (m.tokens_per_joule.reduce((a, b) => a + b, 0) / m.tokens_per_joule.length).toFixed(2) : null,
+      avgJoulesPerRequest: m.joules_per_request.length ? (m.joules_per_request.reduce((a, b) => a + b, 0) / m.joules_per_request.length).toFixed(2) : null,
+      // A model passes its SLOs only if every scenario does; the worst scenario's compliance is shown
+      sloPass: m.slo_pass.length ? m.slo_pass.every(Boolean) : null,
+      minSloCompliance: m.slo_compliance.length ? (Math.min(...m.slo_compliance) * 100).toFixed(1) : null,
       scenarios: m.scenarios
     }));
   };
 
   const modelAggregates = results.length > 0 ? getModelAggregates() : [];
 
+  const getModelName = (result) => result.model_display_name || result.model_name || result.model_alias || result.model_id;
+
+  // Mean of a metric per scenario and model, with the 95% CI as error bars ([below, above] the mean)
+  const getStatsChartData = (metric) => {
+    const scenarios = [...new Set(results.map(r => r.scenario))];
+    return scenarios.map(scenario => {
+      const row = { scenario, means: {}, errors: {} };
+      results.filter(r => r.scenario === scenario).forEach(r => {
+        const summary = r.stats?.[metric];
+        if (!summary) return;
+        const model = getModelName(r);
+        row.means[model] = Number(summary.mean.toFixed(2));
+        row.errors[model] = summary.ci95
+          ? [summary.mean - summary.ci95[0], summary.ci95[1] - summary.mean]
+          : [0, 0];
+      });
+      return row;
+    });
+  };
+
+  const statsModels = [...new Set(results.filter(r => r.stats).map(getModelName))];
+
+  const timelineResults = results.filter(r => r.raw_data?.resourceTimeline?.samples?.length > 0);
+  const timeline = timelineResults[Math.min(timelineResult, timelineResults.length - 1)]?.raw_data?.resourceTimeline;
+  const hasThermalSamples = Boolean(timeline?.samples?.some(sample => Number.isFinite(sample.temp)));
+  const hasServiceSamples = Boolean(timeline?.samples?.some(sample => sample.service_rss !== null && sample.service_rss !== undefined));
+
+  // Token timeline: gap before every streamed token of one iteration, flagged when above the stall threshold
+  const stallThreshold = runConfig?.stall_threshold ?? 250;
+  const tokenResults = results.filter(r => r.raw_data?.iterations?.some(m => m.tokenTimes?.length > 1));
+  const tokenTimelineResult = tokenResults[Math.min(tokenResult, tokenResults.length - 1)];
+  const tokenIterations = (tokenTimelineResult?.raw_data.iterations || []).filter(m => m.tokenTimes?.length > 1);
+  const tokenTimelineIteration = tokenIterations[Math.min(tokenIteration, tokenIterations.length - 1)];
+  const tokenTimeline = (tokenTimelineIteration?.tokenTimes || []).slice(1).map((time, idx) => ({
+    token: idx + 2,
+    time,
+    gap: time - tokenTimelineIteration.tokenTimes[idx]
+  }));
+
+  // Context sweeps: one row per context length with the selected metric per model
+  const sweepNames = [...new Set(results.filter(r => r.sweep).map(r => r.sweep))];
+  const activeSweep = sweepNames.includes(sweepName) ? sweepName : sweepNames[0];
+  const sweepResults = results.filter(r => r.sweep === activeSweep && r.context_length);
+  const sweepModels = [...new Set(sweepResults.map(getModelName))];
+  const sweepChartData = [...new Set(sweepResults.map(r => r.context_length))]
+    .sort((a, b) => a - b)
+    .map(context_length => ({
+      context_length,
+      values: Object.fromEntries(sweepResults
+        .filter(r => r.context_length === context_length)
+        .map(r => [getModelName(r), r[sweepMetric] ?? null]))
+    }));
+
+  const loadTestResults = results.filter(r => r.raw_data?.loadSteps?.length > 0);
+  const loadTest = loadTestResults[Math.min(loadTestResult, loadTestResults.length - 1)];
+
+  const soakResults = results.filter(r => r.raw_data?.soak?.windows?.length > 0);
+  const soak = soakResults[Math.min(soakResult, soakResults.length - 1)];
+  const soakWindows = (soak?.raw_data.soak.windows || []).map(w => ({
+    ...w,
+    minute: (w.start + w.end) / 2 / 60000
+  }));
+  const formatDrift = (drift) => drift
+    ? `${drift.change >= 0 ? '+' : ''}${(drift.change * 100).toFixed(1)}% (p = ${drift.p_value.toPrecision(2)})`
+    : 'not enough requests';
+
+  // Parameter grid pivot: rows and series can be any grid parameter, the model or the base scenario
+  const gridResults = results.filter(r => r.params);
+  const gridAxes = [...new Set(gridResults.flatMap(r => Object.keys(r.params))), 'model', 'scenario'];
+  const gridRowAxis = gridAxes.includes(gridRows) ? gridRows : gridAxes[0];
+  const gridSeriesAxis = gridAxes.includes(gridSeries) && gridSeries !== gridRowAxis
+    ? gridSeries
+    : gridAxes.find(axis => axis !== gridRowAxis);
+  const getGridValue = (result, axis) => {
+    if (axis === 'model') return getModelName(result);
+    if (axis === 'scenario') return result.scenario.replace(/ \[[^\]]*\]$/, '');
+    return String(result.params[axis] ?? '-');
+  };
+  const gridSeriesValues = [...new Set(gridResults.map(r => getGridValue(r, gridSeriesAxis)))];
+  const gridChartData = [...new Set(gridResults.map(r => getGridValue(r, gridRowAxis)))]
+    .sort((a, b) => (Number(a) - Number(b)) || a.localeCompare(b))
+    .map(row => {
+      const values = {};
+      gridSeriesValues.forEach(series => {
+        const cell = gridResults
+          .filter(r => getGridValue(r, gridRowAxis) === row && getGridValue(r, gridSeriesAxis) === series)
+          .map(r => r[gridMetric])
+          .filter(v => v !== null && v !== undefined);
+        values[series] = cell.length > 0 ? cell.reduce((a, b) => a + b, 0) / cell.length : null;
+      });
+      return { row, values };
+    });
+
   // Get performance rating (0-100 scale)
   const getPerformanceScore = (model) => {
     // Higher TPS is better, lower latency is better, lower error rate is better
@@ -196,6 +407,21 @@ function Results() {
             </div>
             <p style={{ marginTop: '0.5rem', color: '#3498db', fontWeight: 'bold' }}>{runProgress || 0}% completed</p>
           </div>
+          <button className="btn btn-danger" onClick={handleCancel}>
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {runStatus === 'queued' && (
+        <div className="card" style={{ marginBottom: '1.5rem', display: 'flex', alignItems: 'center', gap: '1rem' }}>
+          <div style={{ flex: 1 }}>
+            <h4 style={{ marginBottom: '0.5rem' }}>Benchmark queued{queuePosition ? ` at position ${queuePosition}` : ''}</h4>
+            <p style={{ color: '#7f8c8d' }}>Run ID: <code>{selectedRun}</code> starts when the runs ahead of it finish.</p>
+          </div>
+          <button className="btn btn-danger" onClick={handleCancel}>
+            Cancel
+          </button>
         </div>
       )}
 
@@ -232,7 +458,9 @@ function Results() {
                     });
                     const statusBadge = run.status === 'completed' ? '✓' :
                                        run.status === 'running' ? '⏳' :
-                                       run.status === 'failed' ? '✗' : '';
+                                       run.status === 'failed' ? '✗' :
+                                       run.status === 'cancelled' ? '⏹' :
+                                       run.status === 'interrupted' ? '⚠' : '';
 
                     return (
                       <option key={run.id} value={run.id}>
@@ -243,6 +471,11 @@ function Results() {
                 </select>
               </div>
               <div>
+                {isResumable && (
+                  <button className="btn btn-success" onClick={handleResume}>
+                    Resume
+                  </button>
+                )}
                 <button className="btn btn-primary" onClick={() => handleExport('json')}>
                   Export JSON
                 </button>
@@ -382,11 +615,15 @@ function Results() {
                     <tr>
                       <th>Model</th>
                       <th>Score</th>
+                      <th>SLO</th>
                       <th>Avg TPS</th>
                       <th>Avg P50 Latency</th>
                       <th>Avg P95 Latency</th>
                       <th>Avg P99 Latency</th>
                       <th>Avg Error Rate</th>
+                      <th>Avg Accuracy</th>
+                      <th>Avg Judge Score</th>
+                      <th>Avg Tokens/J</th>
                       <th>Scenarios</th>
                     </tr>
                   </thead>
@@ -410,6 +647,24 @@ function Results() {
                               {score}/100
                             </span>
                           </td>
+                          <td>
+                            {model.sloPass !== null ? (
+                              <span
+                                title={`Worst scenario: ${model.minSloCompliance}% of requests within the SLO`}
+                                style={{
+                                  display: 'inline-block',
+                                  padding: '4px 12px',
+                                  borderRadius: '12px',
+                                  background: model.sloPass ? '#27ae60' : '#e74c3c',
+                                  color: 'white',
+                                  fontWeight: 'bold',
+                                  fontSize: '0.9rem'
+                                }}
+                              >
+                                {model.sloPass ? 'PASS' : 'FAIL'}
+                              </span>
+                            ) : '-'}
+                          </td>
                           <td>
                             <span style={{ fontWeight: 'bold', color: '#27ae60' }}>{model.avgTps}</span> tokens/s
                           </td>
@@ -424,6 +679,18 @@ function Results() {
                               {model.avgErrorRate}%
                             </span>
                           </td>
+                          <td>
+                            {model.avgAccuracy !== null ? (
+                              <span style={{
+                                color: parseFloat(model.avgAccuracy) < 80 ? '#e74c3c' : '#27ae60',
+                                fontWeight: 'bold'
+                              }}>
+                                {model.avgAccuracy}%
+                              </span>
+                            ) : '-'}
+                          </td>
+                          <td>{model.avgJudgeScore !== null ? `${model.avgJudgeScore}/10` : '-'}</td>
+                          <td>{model.avgTokensPerJoule ?? '-'}</td>
                           <td>{model.scenarios}</td>
                         </tr>
                       );
@@ -504,6 +771,40 @@ function Results() {
                         </BarChart>
                       </ResponsiveContainer>
                     </div>
+
+                    <div className="card">
+                      <div className="card-header">📥 Prefill Performance (Prompt Tokens & Prefill TPS)</div>
+                      <ResponsiveContainer width="100%" height={300}>
+                        <BarChart data={modelAggregates}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis dataKey="model" />
+                          <YAxis
+                            yAxisId="left"
+                            orientation="left"
+                            label={{ value: 'Prompt tokens', angle: -90, position: 'insideLeft' }}
+                          />
+                          <YAxis
+                            yAxisId="right"
+                            orientation="right"
+                            label={{ value: 'Tokens/sec', angle: 90, position: 'insideRight' }}
+                          />
+                          <Tooltip />
+                          <Legend />
+                          <Bar
+                            dataKey="avgPromptTokens"
+                            yAxisId="left"
+                            fill="#34495e"
+                            name="Avg Prompt Tokens"
+                          />
+                          <Bar
+                            dataKey="avgPrefillTps"
+                            yAxisId="right"
+                            fill="#16a085"
+                            name="Avg Prefill TPS"
+                          />
+                        </BarChart>
+                      </ResponsiveContainer>
+                    </div>
                   </div>
 
                   <div className="card">
@@ -548,6 +849,871 @@ function Results() {
                 </>
               )}
 
+              {results.some(r => r.turns > 1) && (
+                <div className="card">
+                  <div className="card-header">💬 Multi-turn TTFT by Turn</div>
+                  <p style={{ marginBottom: '1rem', color: '#7f8c8d' }}>
+                    Median time to first token of each user turn; later turns carry a longer history to prefill.
+                  </p>
+                  <ResponsiveContainer width="100%" height={300}>
+                    <LineChart data={Array.from({ length: Math.max(...results.map(r => r.turns || 1)) }, (_, turn) => ({
+                      turn: `Turn ${turn + 1}`,
+                      ...Object.fromEntries(results
+                        .filter(r => r.turns > 1)
+                        .map(r => [
+                          `${r.model_alias || r.model_id} · ${r.scenario}`,
+                          r.raw_data?.turnTtfts?.[turn] ?? null
+                        ]))
+                    }))}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="turn" />
+                      <YAxis label={{ value: 'TTFT (ms)', angle: -90, position: 'insideLeft' }} />
+                      <Tooltip />
+                      <Legend />
+                      {results.filter(r => r.turns > 1).map((r, idx) => (
+                        <Line
+                          key={idx}
+                          type="monotone"
+                          dataKey={`${r.model_alias || r.model_id} · ${r.scenario}`}
+                          stroke={COLORS[idx % COLORS.length]}
+                          connectNulls
+                        />
+                      ))}
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+              )}
+
+              {statsModels.length > 0 && (
+                <div className="card">
+                  <div className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <span>📐 Mean per Scenario with 95% Confidence Interval</span>
+                    <select
+                      className="form-control"
+                      value={statsMetric}
+                      onChange={(e) => setStatsMetric(e.target.value)}
+                      style={{ maxWidth: '200px' }}
+                    >
+                      {Object.entries(STATS_METRICS).map(([key, label]) => (
+                        <option key={key} value={key}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <p style={{ marginBottom: '1rem', color: '#7f8c8d' }}>
+                    Error bars show the bootstrap 95% CI of the mean; differences between models whose intervals overlap may be noise.
+                  </p>
+                  <ResponsiveContainer width="100%" height={350}>
+                    <BarChart data={getStatsChartData(statsMetric)}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="scenario" />
+                      <YAxis label={{ value: STATS_METRICS[statsMetric], angle: -90, position: 'insideLeft' }} />
+                      <Tooltip />
+                      <Legend />
+                      {statsModels.map((model, idx) => (
+                        <Bar key={model} dataKey={(row) => row.means[model]} name={model} fill={COLORS[idx % COLORS.length]}>
+                          <ErrorBar dataKey={(row) => row.errors[model]} width={4} strokeWidth={1.5} stroke="#2c3e50" />
+                        </Bar>
+                      ))}
+                    </BarChart>
+                  </ResponsiveContainer>
+
+                  <table className="table" style={{ marginTop: '1rem' }}>
+                    <thead>
+                      <tr>
+                        <th>Model</th>
+                        <th>Scenario</th>
+                        <th>n</th>
+                        <th>Mean</th>
+                        <th>Std Dev</th>
+                        <th>Min</th>
+                        <th>Max</th>
+                        <th>CV</th>
+                        <th>95% CI</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {results.filter(r => r.stats?.[statsMetric]).map((result, idx) => {
+                        const summary = result.stats[statsMetric];
+                        return (
+                          <tr key={idx}>
+                            <td><strong>{getModelName(result)}</strong></td>
+                            <td>{result.scenario}</td>
+                            <td>{summary.n}</td>
+                            <td>{summary.mean.toFixed(2)}</td>
+                            <td>{summary.stddev.toFixed(2)}</td>
+                            <td>{summary.min.toFixed(2)}</td>
+                            <td>{summary.max.toFixed(2)}</td>
+                            <td style={{ color: summary.cv > 0.2 ? '#e74c3c' : 'inherit' }}>
+                              {summary.cv !== null ? `${(summary.cv * 100).toFixed(1)}%` : '-'}
+                            </td>
+                            <td>{summary.ci95 ? `${summary.ci95[0].toFixed(2)} – ${summary.ci95[1].toFixed(2)}` : '-'}</td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {timeline && (
+                <div className="card">
+                  <div className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <span>🖥️ Resource Timeline</span>
+                    <select
+                      className="form-control"
+                      value={Math.min(timelineResult, timelineResults.length - 1)}
+                      onChange={(e) => setTimelineResult(parseInt(e.target.value))}
+                      style={{ maxWidth: '400px' }}
+                    >
+                      {timelineResults.map((r, idx) => (
+                        <option key={idx} value={idx}>{getModelName(r)} · {r.scenario}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <p style={{ marginBottom: '1rem', color: '#7f8c8d' }}>
+                    Sampled every {timeline.interval} ms. Shaded bands are requests (grey: warmup, red: failed).
+                    Peaks: CPU {timeline.peaks?.cpu?.toFixed(1) ?? '-'}%, RAM {timeline.peaks?.ram?.toFixed(1) ?? '-'}%,
+                    GPU {timeline.peaks?.gpu?.toFixed(1) ?? '-'}%
+                    {hasServiceSamples && `, Foundry service RSS ${timeline.peaks?.service_rss?.toFixed(0) ?? '-'} MB`}
+                    {hasThermalSamples && `, CPU ${timeline.peaks?.temp?.toFixed(0) ?? '-'} °C. Orange bands are throttled requests`}
+                  </p>
+                  <ResponsiveContainer width="100%" height={300}>
+                    <LineChart data={timeline.samples.map(sample => ({ ...sample, time: sample.t / 1000 }))}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis
+                        dataKey="time"
+                        type="number"
+                        domain={['dataMin', 'dataMax']}
+                        tickFormatter={(v) => `${v.toFixed(1)}s`}
+                      />
+                      <YAxis yAxisId="pct" domain={[0, 100]} label={{ value: 'Utilization (%)', angle: -90, position: 'insideLeft' }} />
+                      {hasServiceSamples && (
+                        <YAxis yAxisId="mb" orientation="right" label={{ value: 'Service RSS (MB)', angle: 90, position: 'insideRight' }} />
+                      )}
+                      <Tooltip labelFormatter={(v) => `${Number(v).toFixed(2)} s`} formatter={(v) => v?.toFixed(1)} />
+                      <Legend />
+                      {(timeline.requests || []).map((request, idx) => (
+                        <ReferenceArea
+                          key={idx}
+                          x1={request.start / 1000}
+                          x2={request.end / 1000}
+                          yAxisId="pct"
+                          fill={request.failed ? '#e74c3c' : request.throttled ? '#e67e22' : request.warmup ? '#95a5a6' : '#3498db'}
+                          fillOpacity={0.12}
+                          ifOverflow="extendDomain"
+                        />
+                      ))}
+                      <Line yAxisId="pct" type="monotone" dataKey="cpu" name="CPU %" stroke="#e74c3c" dot={false} />
+                      <Line yAxisId="pct" type="monotone" dataKey="ram" name="RAM %" stroke="#3498db" dot={false} />
+                      <Line yAxisId="pct" type="monotone" dataKey="gpu" name="GPU %" stroke="#27ae60" dot={false} connectNulls />
+                      {hasServiceSamples && (
+                        <Line yAxisId="pct" type="monotone" dataKey="service_cpu" name="Service CPU %" stroke="#e67e22" strokeDasharray="4 2" dot={false} connectNulls />
+                      )}
+                      {hasThermalSamples && (
+                        <Line yAxisId="pct" type="monotone" dataKey="temp" name="CPU °C" stroke="#c0392b" strokeDasharray="2 2" dot={false} connectNulls />
+                      )}
+                      {hasServiceSamples && (
+                        <Line yAxisId="mb" type="monotone" dataKey="service_rss" name="Service RSS (MB)" stroke="#9b59b6" dot={false} connectNulls />
+                      )}
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+              )}
+
+              {results.some(r => r.itl_p50 !== null && r.itl_p50 !== undefined) && (
+                <div className="card">
+                  <div className="card-header">〰️ Inter-Token Latency</div>
+                  <p style={{ marginBottom: '1rem', color: '#7f8c8d' }}>
+                    Distribution of the gaps between streamed tokens. Users notice stutter more than average speed: a good
+                    mean TPOT can hide long pauses, which show up in P99, max and the stall count (gaps over {stallThreshold} ms).
+                  </p>
+                  <table className="table">
+                    <thead>
+                      <tr>
+                        <th>Model</th>
+                        <th>Scenario</th>
+                        <th>Mean TPOT (ms)</th>
+                        <th>ITL P50 / P95 / P99 (ms)</th>
+                        <th>Max (ms)</th>
+                        <th>Stalls</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {results.filter(r => r.itl_p50 !== null && r.itl_p50 !== undefined).map((result, idx) => (
+                        <tr key={idx}>
+                          <td><strong>{getModelName(result)}</strong></td>
+                          <td>{result.scenario}</td>
+                          <td>{result.tpot?.toFixed(2) ?? '-'}</td>
+                          <td>{result.itl_p50.toFixed(1)} / {result.itl_p95.toFixed(1)} / {result.itl_p99.toFixed(1)}</td>
+                          <td>{result.itl_max.toFixed(1)}</td>
+                          <td>
+                            <span style={{ color: result.stall_count > 0 ? '#e74c3c' : '#27ae60', fontWeight: 'bold' }}>
+                              {result.stall_count}
+                            </span>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {tokenTimelineIteration && (
+                <div className="card">
+                  <div className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <span>🧵 Token Timeline</span>
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                      <select
+                        className="form-control"
+                        value={Math.min(tokenResult, tokenResults.length - 1)}
+                        onChange={(e) => { setTokenResult(parseInt(e.target.value)); setTokenIteration(0); }}
+                        style={{ maxWidth: '400px' }}
+                      >
+                        {tokenResults.map((r, idx) => (
+                          <option key={idx} value={idx}>{getModelName(r)} · {r.scenario}</option>
+                        ))}
+                      </select>
+                      <select
+                        className="form-control"
+                        value={Math.min(tokenIteration, tokenIterations.length - 1)}
+                        onChange={(e) => setTokenIteration(parseInt(e.target.value))}
+                        style={{ maxWidth: '200px' }}
+                      >
+                        {tokenIterations.map((m, idx) => (
+                          <option key={idx} value={idx}>Iteration {m.iteration} ({m.stalls ?? 0} stalls)</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                  <p style={{ marginBottom: '1rem', color: '#7f8c8d' }}>
+                    Gap before each streamed token of the iteration, at its arrival time. The first token arrived after{' '}
+                    {tokenTimelineIteration.tokenTimes[0].toFixed(0)} ms (TTFT); red bars are stalls.
+                    {tokenTimelineIteration.turns?.length > 1 && ' Later turns start with their own TTFT, shown as one long gap.'}
+                  </p>
+                  <ResponsiveContainer width="100%" height={300}>
+                    <BarChart data={tokenTimeline}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis
+                        dataKey="time"
+                        type="number"
+                        domain={['dataMin', 'dataMax']}
+                        tickFormatter={(v) => `${(v / 1000).toFixed(2)}s`}
+                      />
+                      <YAxis label={{ value: 'Gap (ms)', angle: -90, position: 'insideLeft' }} />
+                      <Tooltip
+                        labelFormatter={(v) => `${(Number(v) / 1000).toFixed(3)} s`}
+                        formatter={(v, name, item) => [`${v.toFixed(1)} ms`, `Token ${item.payload.token}`]}
+                      />
+                      <ReferenceLine y={stallThreshold} stroke="#e74c3c" strokeDasharray="4 4" label="Stall" ifOverflow="extendDomain" />
+                      <Bar dataKey="gap" name="Gap" minPointSize={1}>
+                        {tokenTimeline.map((point, idx) => (
+                          <Cell key={idx} fill={point.gap > stallThreshold ? '#e74c3c' : '#3498db'} />
+                        ))}
+                      </Bar>
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              )}
+
+              {results.some(r => (r.temp_max !== null && r.temp_max !== undefined) || r.cpu_speed_min || r.cooldown_time) && (
+                <div className="card">
+                  <div className="card-header">🌡️ Thermal</div>
+                  <p style={{ marginBottom: '1rem', color: '#7f8c8d' }}>
+                    Iterations are flagged as throttled when the CPU reached the throttle temperature or its clock fell
+                    below the run's highest clock by the configured fraction. Throttled scenarios are penalized by heat
+                    from earlier ones; enable the cooldown policy to compare models on equal terms.
+                  </p>
+                  <table className="table">
+                    <thead>
+                      <tr>
+                        <th>Model</th>
+                        <th>Scenario</th>
+                        <th>Throttled Iterations</th>
+                        <th>Max Temp (°C)</th>
+                        <th>Min Clock (GHz)</th>
+                        <th>Cooldown (s)</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {results.map((result, idx) => (
+                        <tr key={idx}>
+                          <td><strong>{getModelName(result)}</strong></td>
+                          <td>{result.scenario}</td>
+                          <td>
+                            <span style={{ fontWeight: 'bold', color: result.throttled_iterations > 0 ? '#e67e22' : '#27ae60' }}>
+                              {result.throttled_iterations ?? 0}/{result.iterations ?? '-'}
+                            </span>
+                          </td>
+                          <td>{result.temp_max?.toFixed(0) ?? '-'}</td>
+                          <td>{result.cpu_speed_min?.toFixed(2) ?? '-'}</td>
+                          <td>{result.cooldown_time ? result.cooldown_time.toFixed(1) : '-'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {results.some(r => r.slo_pass !== null && r.slo_pass !== undefined) && (
+                <div className="card">
+                  <div className="card-header">🎯 SLO Compliance</div>
+                  <p style={{ marginBottom: '1rem', color: '#7f8c8d' }}>
+                    {runConfig?.slo && (
+                      <>
+                        SLO: {['ttft', 'tpot', 'latency']
+                          .filter(key => runConfig.slo[key])
+                          .map(key => `${key === 'latency' ? 'end-to-end latency' : key.toUpperCase()} ≤ ${runConfig.slo[key]} ms`)
+                          .join(', ')} for at least {(runConfig.slo.target * 100).toFixed(0)}% of requests.{' '}
+                      </>
+                    )}
+                    Failed requests count as misses; goodput counts the tokens of compliant requests only (load tests: the
+                    sustained step, with dropped arrivals counted as misses).
+                  </p>
+                  <table className="table">
+                    <thead>
+                      <tr>
+                        <th>Model</th>
+                        <th>Scenario</th>
+                        <th>Compliance</th>
+                        <th>Goodput (tokens/s)</th>
+                        <th>Throughput (tokens/s)</th>
+                        <th>SLO</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {results.filter(r => r.slo_pass !== null && r.slo_pass !== undefined).map((result, idx) => (
+                        <tr key={idx}>
+                          <td><strong>{getModelName(result)}</strong></td>
+                          <td>{result.scenario}</td>
+                          <td>{(result.slo_compliance * 100).toFixed(1)}%</td>
+                          <td>
+                            <span style={{ fontWeight: 'bold', color: '#27ae60' }}>{result.goodput?.toFixed(2) ?? '-'}</span>
+                          </td>
+                          <td>{result.aggregate_tps?.toFixed(2) ?? '-'}</td>
+                          <td>
+                            <span style={{ color: result.slo_pass ? '#27ae60' : '#e74c3c', fontWeight: 'bold' }}>
+                              {result.slo_pass ? 'PASS' : 'FAIL'}
+                            </span>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {results.some(r => r.energy_joules !== null && r.energy_joules !== undefined) && (
+                <div className="card">
+                  <div className="card-header">🔋 Energy Efficiency</div>
+                  <p style={{ marginBottom: '1rem', color: '#7f8c8d' }}>
+                    Energy of the timed iterations from RAPL counters (CPU package) or battery discharge. Both include
+                    everything else running on the device, so compare runs made under the same conditions.
+                  </p>
+                  <ResponsiveContainer width="100%" height={300}>
+                    <BarChart data={modelAggregates.filter(m => m.avgTokensPerJoule !== null)}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="model" />
+                      <YAxis
+                        yAxisId="left"
+                        orientation="left"
+                        label={{ value: 'Tokens/J', angle: -90, position: 'insideLeft' }}
+                      />
+                      <YAxis
+                        yAxisId="right"
+                        orientation="right"
+                        label={{ value: 'J/request', angle: 90, position: 'insideRight' }}
+                      />
+                      <Tooltip />
+                      <Legend />
+                      <Bar dataKey="avgTokensPerJoule" yAxisId="left" fill="#27ae60" name="Avg Tokens per Joule" />
+                      <Bar dataKey="avgJoulesPerRequest" yAxisId="right" fill="#f39c12" name="Avg Joules per Request" />
+                    </BarChart>
+                  </ResponsiveContainer>
+                  <table className="table">
+                    <thead>
+                      <tr>
+                        <th>Model</th>
+                        <th>Scenario</th>
+                        <th>Source</th>
+                        <th>Energy (J)</th>
+                        <th>Avg Power (W)</th>
+                        <th>J / Request</th>
+                        <th>Tokens / J</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {results.map((result, idx) => (
+                        <tr key={idx}>
+                          <td><strong>{getModelName(result)}</strong></td>
+                          <td>{result.scenario}</td>
+                          <td>{result.energy_source === 'rapl' ? 'RAPL' : result.energy_source === 'battery' ? 'Battery' : '-'}</td>
+                          <td>{result.energy_joules?.toFixed(1) ?? '-'}</td>
+                          <td>{result.avg_power_w?.toFixed(1) ?? '-'}</td>
+                          <td>{result.joules_per_request?.toFixed(2) ?? '-'}</td>
+                          <td>
+                            <span style={{ fontWeight: 'bold', color: '#27ae60' }}>
+                              {result.tokens_per_joule?.toFixed(2) ?? '-'}
+                            </span>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {results.some(r => r.service_rss_peak !== null && r.service_rss_peak !== undefined) && (
+                <div className="card">
+                  <div className="card-header">🧮 Foundry Service Resources</div>
+                  <p style={{ marginBottom: '1rem', color: '#7f8c8d' }}>
+                    Memory and CPU of the Foundry Local service process and its children, rather than the whole system.
+                    Private memory excludes shared pages; CPU time covers the timed iterations.
+                  </p>
+                  <table className="table">
+                    <thead>
+                      <tr>
+                        <th>Model</th>
+                        <th>Scenario</th>
+                        <th>Peak RSS (MB)</th>
+                        <th>Private Memory (MB)</th>
+                        <th>CPU Time (s)</th>
+                        <th>CPU Time / Request (ms)</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {results.map((result, idx) => (
+                        <tr key={idx}>
+                          <td><strong>{getModelName(result)}</strong></td>
+                          <td>{result.scenario}</td>
+                          <td>{result.service_rss_peak?.toFixed(0) ?? '-'}</td>
+                          <td>{result.service_private_mb?.toFixed(0) ?? '-'}</td>
+                          <td>{result.service_cpu_time?.toFixed(2) ?? '-'}</td>
+                          <td>
+                            {result.service_cpu_time !== null && result.service_cpu_time !== undefined && result.iterations
+                              ? (result.service_cpu_time * 1000 / result.iterations).toFixed(0)
+                              : '-'}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {sweepResults.length > 0 && (
+                <div className="card">
+                  <div className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <span>📏 Context Length Sweep</span>
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                      {sweepNames.length > 1 && (
+                        <select
+                          className="form-control"
+                          value={activeSweep}
+                          onChange={(e) => setSweepName(e.target.value)}
+                          style={{ maxWidth: '200px' }}
+                        >
+                          {sweepNames.map(name => (
+                            <option key={name} value={name}>{name}</option>
+                          ))}
+                        </select>
+                      )}
+                      <select
+                        className="form-control"
+                        value={sweepMetric}
+                        onChange={(e) => setSweepMetric(e.target.value)}
+                        style={{ maxWidth: '250px' }}
+                      >
+                        {Object.entries(SWEEP_METRICS).map(([key, label]) => (
+                          <option key={key} value={key}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                  <p style={{ marginBottom: '1rem', color: '#7f8c8d' }}>
+                    Each point is one run of the scenario with its prompt padded to that many input tokens (median TTFT and TPOT;
+                    prefill throughput is prompt tokens per second of TTFT). The series is included in the JSON export as context_sweeps.
+                  </p>
+                  <ResponsiveContainer width="100%" height={350}>
+                    <LineChart data={sweepChartData}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis
+                        dataKey="context_length"
+                        type="number"
+                        scale="log"
+                        domain={['dataMin', 'dataMax']}
+                        ticks={sweepChartData.map(row => row.context_length)}
+                        label={{ value: 'Input tokens', position: 'insideBottom', offset: -5 }}
+                      />
+                      <YAxis label={{ value: SWEEP_METRICS[sweepMetric], angle: -90, position: 'insideLeft' }} />
+                      <Tooltip labelFormatter={(length) => `${length} input tokens`} formatter={(v) => v?.toFixed(1)} />
+                      <Legend verticalAlign="top" />
+                      {sweepModels.map((model, idx) => (
+                        <Line
+                          key={model}
+                          type="monotone"
+                          dataKey={(row) => row.values[model]}
+                          name={model}
+                          stroke={COLORS[idx % COLORS.length]}
+                          strokeWidth={2}
+                          connectNulls
+                        />
+                      ))}
+                    </LineChart>
+                  </ResponsiveContainer>
+                  <table className="table" style={{ marginTop: '1rem' }}>
+                    <thead>
+                      <tr>
+                        <th>Model</th>
+                        <th>Context Length</th>
+                        <th>Prompt Tokens</th>
+                        <th>TTFT (ms)</th>
+                        <th>Prefill (tokens/s)</th>
+                        <th>TPOT (ms)</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {[...sweepResults]
+                        .sort((a, b) => getModelName(a).localeCompare(getModelName(b)) || a.context_length - b.context_length)
+                        .map((result, idx) => (
+                          <tr key={idx}>
+                            <td><strong>{getModelName(result)}</strong></td>
+                            <td>{result.context_length}</td>
+                            <td>{result.prompt_tokens?.toFixed(0) ?? '-'}</td>
+                            <td>{result.ttft?.toFixed(0) ?? '-'}</td>
+                            <td>{result.prefill_tps?.toFixed(0) ?? '-'}</td>
+                            <td>{result.tpot?.toFixed(1) ?? '-'}</td>
+                          </tr>
+                        ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {soak && (
+                <div className="card">
+                  <div className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <span>⏳ Soak Test</span>
+                    <select
+                      className="form-control"
+                      value={Math.min(soakResult, soakResults.length - 1)}
+                      onChange={(e) => setSoakResult(parseInt(e.target.value))}
+                      style={{ maxWidth: '400px' }}
+                    >
+                      {soakResults.map((r, idx) => (
+                        <option key={idx} value={idx}>{getModelName(r)} · {r.scenario}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <p style={{ marginBottom: '1rem', color: '#7f8c8d' }}>
+                    {soak.iterations} requests over {(soak.soak_duration / 60).toFixed(1)} minutes ({soak.raw_data.soak.mix.join(', ')}),
+                    in {soak.raw_data.soak.window / 60000}-minute windows plotted at their midpoint. Drift compares the first and the last
+                    window (Mann-Whitney U); memory growth is flagged for a significant upward trend (Mann-Kendall) of at least 5%.
+                  </p>
+                  <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap', marginBottom: '1rem' }}>
+                    {[
+                      { label: 'Latency drift', value: formatDrift(soak.raw_data.soak.drift.latency), flagged: soak.raw_data.soak.drift.latency?.significant },
+                      { label: 'TPS drift', value: formatDrift(soak.raw_data.soak.drift.tps), flagged: soak.raw_data.soak.drift.tps?.significant },
+                      {
+                        label: 'Service memory',
+                        value: soak.raw_data.soak.leak
+                          ? `${soak.raw_data.soak.leak.growth_mb >= 0 ? '+' : ''}${soak.raw_data.soak.leak.growth_mb.toFixed(0)} MB (${soak.raw_data.soak.leak.slope_mb_per_hour.toFixed(0)} MB/h)`
+                          : 'service process not found',
+                        flagged: soak.raw_data.soak.leak?.leak
+                      }
+                    ].map(({ label, value, flagged }) => (
+                      <span key={label} style={{
+                        padding: '6px 12px',
+                        borderRadius: '12px',
+                        background: flagged ? '#e74c3c' : '#ecf0f1',
+                        color: flagged ? 'white' : '#2c3e50',
+                        fontSize: '0.9rem'
+                      }}>
+                        {flagged ? '⚠ ' : ''}<strong>{label}:</strong> {value}
+                      </span>
+                    ))}
+                  </div>
+                  <ResponsiveContainer width="100%" height={300}>
+                    <LineChart data={soakWindows}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="minute" type="number" domain={['dataMin', 'dataMax']} tickFormatter={(m) => m.toFixed(0)} label={{ value: 'Minutes', position: 'insideBottom', offset: -5 }} />
+                      <YAxis yAxisId="ms" label={{ value: 'ms', angle: -90, position: 'insideLeft' }} />
+                      <YAxis yAxisId="tps" orientation="right" label={{ value: 'tokens/s', angle: 90, position: 'insideRight' }} />
+                      <Tooltip formatter={(v) => v?.toFixed(1)} labelFormatter={(m) => `${m.toFixed(1)} min`} />
+                      <Legend verticalAlign="top" />
+                      <Line yAxisId="ms" type="monotone" dataKey="latency_p50" stroke="#3498db" strokeWidth={2} name="P50 latency" dot={false} />
+                      <Line yAxisId="ms" type="monotone" dataKey="latency_p95" stroke="#e74c3c" name="P95 latency" dot={false} />
+                      <Line yAxisId="tps" type="monotone" dataKey="tps" stroke="#27ae60" strokeWidth={2} name="TPS" dot={false} />
+                    </LineChart>
+                  </ResponsiveContainer>
+                  {soakWindows.some(w => w.rss_mb !== null) && (
+                    <ResponsiveContainer width="100%" height={200}>
+                      <LineChart data={soakWindows}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="minute" type="number" domain={['dataMin', 'dataMax']} tickFormatter={(m) => m.toFixed(0)} />
+                        <YAxis label={{ value: 'MB', angle: -90, position: 'insideLeft' }} domain={['auto', 'auto']} />
+                        <Tooltip formatter={(v) => `${v?.toFixed(0)} MB`} labelFormatter={(m) => `${m.toFixed(1)} min`} />
+                        <Legend verticalAlign="top" />
+                        <Line type="monotone" dataKey="rss_mb" stroke="#8e44ad" strokeWidth={2} name="Foundry service RSS" dot={false} />
+                      </LineChart>
+                    </ResponsiveContainer>
+                  )}
+                </div>
+              )}
+
+              {loadTest && (
+                <div className="card">
+                  <div className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <span>📶 Load Test</span>
+                    <select
+                      className="form-control"
+                      value={Math.min(loadTestResult, loadTestResults.length - 1)}
+                      onChange={(e) => setLoadTestResult(parseInt(e.target.value))}
+                      style={{ maxWidth: '400px' }}
+                    >
+                      {loadTestResults.map((r, idx) => (
+                        <option key={idx} value={idx}>{getModelName(r)} · {r.scenario}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <p style={{ marginBottom: '1rem', color: '#7f8c8d' }}>
+                    Requests arrive at each target rate ({loadTest.raw_data.arrival} arrivals, {loadTest.raw_data.step_duration / 1000} s per step)
+                    without waiting for responses. Queueing delay is the time a request waited beyond the fastest response of the first step.{' '}
+                    {loadTest.saturation_rps
+                      ? <strong style={{ color: '#e74c3c' }}>Saturates at {loadTest.saturation_rps} req/s; sustains {loadTest.max_sustainable_rps?.toFixed(2) ?? '-'} req/s.</strong>
+                      : <strong style={{ color: '#27ae60' }}>No saturation up to {loadTest.raw_data.loadSteps[loadTest.raw_data.loadSteps.length - 1].target_rps} req/s.</strong>}
+                  </p>
+                  <ResponsiveContainer width="100%" height={350}>
+                    <LineChart data={loadTest.raw_data.loadSteps}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="target_rps" type="number" domain={['dataMin', 'dataMax']} label={{ value: 'Target req/s', position: 'insideBottom', offset: -5 }} />
+                      <YAxis yAxisId="rps" label={{ value: 'req/s', angle: -90, position: 'insideLeft' }} />
+                      <YAxis yAxisId="ms" orientation="right" label={{ value: 'ms', angle: 90, position: 'insideRight' }} />
+                      <Tooltip formatter={(v) => v?.toFixed(2)} labelFormatter={(rate) => `${rate} req/s target`} />
+                      <Legend verticalAlign="top" />
+                      {loadTest.saturation_rps && (
+                        <ReferenceLine yAxisId="rps" x={loadTest.saturation_rps} stroke="#e74c3c" strokeDasharray="4 4" label="Knee" />
+                      )}
+                      <Line yAxisId="rps" type="monotone" dataKey="offered_rps" stroke="#95a5a6" strokeDasharray="5 5" name="Offered req/s" />
+                      <Line yAxisId="rps" type="monotone" dataKey="achieved_rps" stroke="#27ae60" strokeWidth={2} name="Achieved req/s" />
+                      <Line yAxisId="ms" type="monotone" dataKey="latency_p95" stroke="#e74c3c" strokeWidth={2} name="P95 latency" />
+                      <Line yAxisId="ms" type="monotone" dataKey="queue_delay_p95" stroke="#f39c12" name="P95 queueing delay" />
+                    </LineChart>
+                  </ResponsiveContainer>
+                  <table className="table" style={{ marginTop: '1rem' }}>
+                    <thead>
+                      <tr>
+                        <th>Target (req/s)</th>
+                        <th>Achieved (req/s)</th>
+                        <th>Output (tokens/s)</th>
+                        <th>Sent / Dropped</th>
+                        <th>Errors</th>
+                        <th>P50 / P95 / P99 (ms)</th>
+                        <th>Queueing P50 / P95 (ms)</th>
+                        {loadTest.slo_pass !== null && loadTest.slo_pass !== undefined && <th>SLO / Goodput</th>}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {loadTest.raw_data.loadSteps.map((step, idx) => (
+                        <tr key={idx} style={idx === loadTest.raw_data.knee ? { background: '#fdecea' } : undefined}>
+                          <td><strong>{step.target_rps}</strong></td>
+                          <td>{step.achieved_rps.toFixed(2)}</td>
+                          <td>{step.output_tps.toFixed(1)}</td>
+                          <td>{step.sent} / {step.dropped}</td>
+                          <td>{step.errors + step.timeouts}</td>
+                          <td>
+                            {step.latency_p50?.toFixed(0) ?? '-'} / {step.latency_p95?.toFixed(0) ?? '-'} / {step.latency_p99?.toFixed(0) ?? '-'}
+                          </td>
+                          <td>{step.queue_delay_p50?.toFixed(0) ?? '-'} / {step.queue_delay_p95?.toFixed(0) ?? '-'}</td>
+                          {loadTest.slo_pass !== null && loadTest.slo_pass !== undefined && (
+                            <td style={{ color: step.slo_pass ? '#27ae60' : '#e74c3c' }}>
+                              {step.slo_compliance !== undefined
+                                ? `${(step.slo_compliance * 100).toFixed(0)}% / ${step.goodput.toFixed(1)} tok/s`
+                                : '-'}
+                            </td>
+                          )}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {gridResults.length > 0 && (
+                <div className="card">
+                  <div className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <span>🔀 Parameter Grid</span>
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                      <select
+                        className="form-control"
+                        value={gridMetric}
+                        onChange={(e) => setGridMetric(e.target.value)}
+                        style={{ maxWidth: '200px' }}
+                      >
+                        {Object.entries(GRID_METRICS).map(([key, label]) => (
+                          <option key={key} value={key}>{label}</option>
+                        ))}
+                      </select>
+                      <select
+                        className="form-control"
+                        value={gridRowAxis}
+                        onChange={(e) => setGridRows(e.target.value)}
+                        style={{ maxWidth: '180px' }}
+                        title="Rows (x axis)"
+                      >
+                        {gridAxes.map(axis => (
+                          <option key={axis} value={axis}>by {axis}</option>
+                        ))}
+                      </select>
+                      <select
+                        className="form-control"
+                        value={gridSeriesAxis}
+                        onChange={(e) => setGridSeries(e.target.value)}
+                        style={{ maxWidth: '180px' }}
+                        title="Columns (bars)"
+                      >
+                        {gridAxes.filter(axis => axis !== gridRowAxis).map(axis => (
+                          <option key={axis} value={axis}>per {axis}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                  <p style={{ marginBottom: '1rem', color: '#7f8c8d' }}>
+                    Each cell is the mean over every result with those values, across the parameters not shown.
+                    Pivot on streaming to see its overhead, or on max_tokens to see how output length drives latency.
+                  </p>
+                  <ResponsiveContainer width="100%" height={300}>
+                    <BarChart data={gridChartData}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="row" label={{ value: gridRowAxis, position: 'insideBottom', offset: -5 }} />
+                      <YAxis label={{ value: GRID_METRICS[gridMetric], angle: -90, position: 'insideLeft' }} />
+                      <Tooltip formatter={(v) => v?.toFixed(2)} />
+                      <Legend verticalAlign="top" />
+                      {gridSeriesValues.map((series, idx) => (
+                        <Bar
+                          key={series}
+                          dataKey={(row) => row.values[series]}
+                          name={`${gridSeriesAxis}: ${series}`}
+                          fill={COLORS[idx % COLORS.length]}
+                        />
+                      ))}
+                    </BarChart>
+                  </ResponsiveContainer>
+                  <table className="table" style={{ marginTop: '1rem' }}>
+                    <thead>
+                      <tr>
+                        <th>{gridRowAxis} \ {gridSeriesAxis}</th>
+                        {gridSeriesValues.map(series => (
+                          <th key={series}>{series}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {gridChartData.map(({ row, values }) => (
+                        <tr key={row}>
+                          <td><strong>{row}</strong></td>
+                          {gridSeriesValues.map(series => (
+                            <td key={series}>{values[series]?.toFixed(2) ?? '-'}</td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {results.some(r => r.load_time) && (
+                <div className="card">
+                  <div className="card-header">🚀 Cold Start</div>
+                  <p style={{ marginBottom: '1rem', color: '#7f8c8d' }}>
+                    Cold-start scenarios unload and reload the model before every request. Time to first answer is the
+                    load plus the first token; download time (only when a load had to download the model) is not included.
+                  </p>
+                  <ResponsiveContainer width="100%" height={300}>
+                    <BarChart data={results.filter(r => r.load_time).map(r => ({
+                      name: `${getModelName(r)} · ${r.scenario}`,
+                      load: r.load_time,
+                      firstToken: r.first_token_time !== null ? r.first_token_time - r.load_time : null
+                    }))}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="name" />
+                      <YAxis label={{ value: 'ms', angle: -90, position: 'insideLeft' }} />
+                      <Tooltip formatter={(v) => `${v?.toFixed(0)} ms`} />
+                      <Legend />
+                      <Bar dataKey="load" stackId="cold" fill="#8e44ad" name="Load" />
+                      <Bar dataKey="firstToken" stackId="cold" fill="#3498db" name="First token after load" />
+                    </BarChart>
+                  </ResponsiveContainer>
+                  <table className="table">
+                    <thead>
+                      <tr>
+                        <th>Model</th>
+                        <th>Scenario</th>
+                        <th>Load (ms)</th>
+                        <th>Time to First Answer (ms)</th>
+                        <th>Download (s)</th>
+                        <th>Page Cache</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {results.filter(r => r.load_time).map((result, idx) => {
+                        const pageCache = result.raw_data?.iterations?.find(m => m.cold_start)?.cold_start?.page_cache;
+                        return (
+                          <tr key={idx}>
+                            <td><strong>{getModelName(result)}</strong></td>
+                            <td>{result.scenario}</td>
+                            <td>{result.load_time.toFixed(0)}</td>
+                            <td>
+                              <span style={{ fontWeight: 'bold', color: '#8e44ad' }}>
+                                {result.first_token_time?.toFixed(0) ?? '-'}
+                              </span>
+                            </td>
+                            <td>{result.download_time ? (result.download_time / 1000).toFixed(1) : '-'}</td>
+                            <td title={pageCache?.error || undefined}>
+                              {!pageCache ? 'Kept' : pageCache.evicted ? 'Evicted' : '⚠ Not evicted'}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {results.some(r => r.cold_ttft || r.cold_latency) && (
+                <div className="card">
+                  <div className="card-header">🧊 Cold vs Warm</div>
+                  <p style={{ marginBottom: '1rem', color: '#7f8c8d' }}>
+                    Cold numbers come from the first warmup request of each scenario; warm numbers exclude all warmup iterations.
+                  </p>
+                  <table className="table">
+                    <thead>
+                      <tr>
+                        <th>Model</th>
+                        <th>Scenario</th>
+                        <th>Warmup Iterations</th>
+                        <th>Cold TTFT (ms)</th>
+                        <th>Warm TTFT (ms)</th>
+                        <th>Cold Latency (ms)</th>
+                        <th>Warm P50 (ms)</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {results.map((result, idx) => (
+                        <tr key={idx}>
+                          <td><strong>{result.model_display_name || result.model_name || result.model_alias || result.model_id}</strong></td>
+                          <td>{result.scenario}</td>
+                          <td>{result.warmup_iterations || 0}</td>
+                          <td style={{ color: '#2980b9' }}>{result.cold_ttft?.toFixed(0) || '-'}</td>
+                          <td>{result.ttft?.toFixed(0) || '-'}</td>
+                          <td style={{ color: '#2980b9' }}>{result.cold_latency?.toFixed(0) || '-'}</td>
+                          <td>{result.latency_p50?.toFixed(0) || '-'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
               <div className="card">
                 <div className="card-header">📋 Detailed Results</div>
                 <table className="table">
@@ -555,13 +1721,21 @@ function Results() {
                     <tr>
                       <th>Model</th>
                       <th>Scenario</th>
+                      <th>Iterations</th>
+                      <th>Concurrency</th>
                       <th>TPS</th>
+                      <th>Agg TPS</th>
                       <th>TTFT (ms)</th>
+                      <th>Prompt Tokens</th>
+                      <th>Prefill TPS</th>
                       <th>TPOT (ms)</th>
                       <th>GenTPS</th>
+                      <th>Token Count</th>
                       <th>P50 (ms)</th>
                       <th>P95 (ms)</th>
                       <th>P99 (ms)</th>
+                      <th>Accuracy</th>
+                      <th>Judge</th>
                       <th>Error %</th>
                     </tr>
                   </thead>
@@ -580,21 +1754,55 @@ function Results() {
                             {result.scenario}
                           </span>
                         </td>
+                        <td>
+                          <span title={[
+                            STOP_REASONS[result.stop_reason],
+                            result.p50_ci_width !== null && result.p50_ci_width !== undefined
+                              ? `P50 CI width ${(result.p50_ci_width * 100).toFixed(1)}%`
+                              : null
+                          ].filter(Boolean).join(' · ')}>
+                            {result.iterations ?? '-'}
+                            {result.stop_reason === 'ci_target' && ' ✓'}
+                            {result.stop_reason === 'max_iterations' && ' ⚠'}
+                          </span>
+                        </td>
+                        <td>{result.concurrency || 1}</td>
                         <td>
                           <span style={{ fontWeight: 'bold', color: '#27ae60' }}>
                             {result.tps?.toFixed(2) || '-'}
                           </span>
                         </td>
+                        <td>{result.aggregate_tps?.toFixed(2) || '-'}</td>
                         <td>{result.ttft?.toFixed(0) || '-'}</td>
+                        <td>{result.prompt_tokens?.toFixed(0) || '-'}</td>
+                        <td>{result.prefill_tps?.toFixed(2) || '-'}</td>
                         <td>{result.tpot?.toFixed(2) || '-'}</td>
                         <td>
                           <span style={{ fontWeight: 'bold', color: '#e67e22' }}>
                             {result.gen_tps?.toFixed(2) || '-'}
                           </span>
                         </td>
+                        <td>
+                          {TOKEN_COUNT_METHODS[result.token_count_method] ? (
+                            <span
+                              title={TOKEN_COUNT_METHODS[result.token_count_method].title}
+                              style={{ fontSize: '0.85rem', color: TOKEN_COUNT_METHODS[result.token_count_method].color }}
+                            >
+                              {TOKEN_COUNT_METHODS[result.token_count_method].label}
+                            </span>
+                          ) : '-'}
+                        </td>
                         <td>{result.latency_p50?.toFixed(0) || '-'}</td>
                         <td>{result.latency_p95?.toFixed(0) || '-'}</td>
                         <td>{result.latency_p99?.toFixed(0) || '-'}</td>
+                        <td>
+                          {result.accuracy !== null && result.accuracy !== undefined ? (
+                            <span style={{ fontWeight: 'bold', color: result.accuracy < 80 ? '#e74c3c' : '#27ae60' }}>
+                              {result.accuracy.toFixed(0)}%
+                            </span>
+                          ) : '-'}
+                        </td>
+                        <td>{result.judge_score ? `${result.judge_score.toFixed(1)}/10` : '-'}</td>
                         <td>
                           <span style={{ 
                             display: 'inline-block',
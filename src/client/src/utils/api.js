@@ -33,7 +33,12 @@ export const benchmarksAPI = {
   exportJSON: (id) => api.get(`/benchmarks/runs/${id}/export/json`, { responseType: 'blob' }),
   exportCSV: (id) => api.get(`/benchmarks/runs/${id}/export/csv`, { responseType: 'blob' }),
   logs: (id, limit = 100) => api.get(`/benchmarks/runs/${id}/logs`, { params: { limit } }),
-  status: (id) => api.get(`/benchmarks/runs/${id}/status`)
+  status: (id) => api.get(`/benchmarks/runs/${id}/status`),
+  cancel: (id) => api.post(`/benchmarks/runs/${id}/cancel`),
+  resume: (id) => api.post(`/benchmarks/runs/${id}/resume`),
+  getQueue: () => api.get('/benchmarks/queue'),
+  moveInQueue: (id, position) => api.post(`/benchmarks/queue/${id}/move`, { position }),
+  removeFromQueue: (id) => api.delete(`/benchmarks/queue/${id}`)
 };
 
 // System API
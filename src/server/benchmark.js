@@ -4,10 +4,50 @@ import { v4 as uuidv4 } from 'uuid';
 import logger, { createBenchmarkLogger } from './logger.js';
 import storage from './storage.js';
 import orchestrator from './orchestrator.js';
+import datasets from './datasets.js';
+import cacheManager from './cacheManager.js';
+import tokenizer from './tokenizer.js';
+import validator from './validators.js';
+import judge from './judge.js';
+import contextSweep from './contextSweep.js';
+import loadTest from './loadTest.js';
+import soakTest from './soakTest.js';
+import sloChecker from './slo.js';
+import { summarize, bootstrapCI, median } from './stats.js';
+import { createSeededRandom, generateSeed, shuffle } from './random.js';
+import ResourceSampler from './resourceSampler.js';
+import processMonitor from './processMonitor.js';
+import energyMonitor from './energyMonitor.js';
+import thermalMonitor from './thermalMonitor.js';
+
+// Token counting methods, most accurate first
+const TOKEN_COUNT_METHODS = ['usage', 'tokenizer', 'estimate', 'chunks'];
+
+// Order in which the model × scenario pairs of a run are executed
+export const EXECUTION_ORDERS = ['sequential', 'round-robin', 'randomized'];
+
+// Request parameters a run's parameter grid (config.param_grid) can vary, with their value parsers
+export const GRID_PARAMETERS = {
+  max_tokens: (value) => {
+    const tokens = Number(value);
+    return Number.isInteger(tokens) && tokens > 0 ? tokens : undefined;
+  },
+  temperature: (value) => {
+    const temperature = Number(value);
+    return value !== '' && value !== null && temperature >= 0 && temperature <= 2 ? temperature : undefined;
+  },
+  streaming: (value) => {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    return undefined;
+  }
+};
 
 class BenchmarkEngine {
   constructor() {
     this.runningBenchmarks = new Map();
+    this.runControllers = new Map(); // runId -> AbortController used to cancel the run
+    this.noStreamUsage = new Set(); // Endpoints (base URLs) that reject stream_options
   }
 
   /**
@@ -20,24 +60,176 @@ class BenchmarkEngine {
   }
 
   /**
-   * Collect system resource metrics
+   * Wait for `ms`, returning early when `signal` aborts
+   */
+  sleep(ms, signal = null) {
+    return new Promise(resolve => {
+      if (signal?.aborted) {
+        resolve();
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Pick the less accurate of two token counting methods (null is ignored)
+   */
+  leastAccurateMethod(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    return TOKEN_COUNT_METHODS.indexOf(a) > TOKEN_COUNT_METHODS.indexOf(b) ? a : b;
+  }
+
+  /**
+   * Order the model × scenario pairs of a run
+   * - sequential: every scenario of a model before the next model
+   * - round-robin: each scenario on every model before the next scenario, rotating which model goes first
+   * - randomized: all pairs shuffled with config.execution_seed
+   * @returns {Array} [{ modelId, scenario }]
+   */
+  planExecution(modelIds, scenarios, config) {
+    switch (config.execution_order || 'sequential') {
+      case 'round-robin':
+        return scenarios.flatMap((scenario, idx) => modelIds
+          .map((_, m) => modelIds[(m + idx) % modelIds.length])
+          .map(modelId => ({ modelId, scenario })));
+
+      case 'randomized': {
+        const pairs = modelIds.flatMap(modelId => scenarios.map(scenario => ({ modelId, scenario })));
+        return shuffle(pairs, createSeededRandom(config.execution_seed));
+      }
+
+      default:
+        return modelIds.flatMap(modelId => scenarios.map(scenario => ({ modelId, scenario })));
+    }
+  }
+
+  /**
+   * Validate a parameter grid ({ parameter: [values] }) and parse its values
+   * @returns {Object|null} Grid without duplicate values or empty axes; null if no axis is left
+   */
+  normalizeParameterGrid(grid) {
+    if (!grid) {
+      return null;
+    }
+    if (typeof grid !== 'object' || Array.isArray(grid)) {
+      throw new Error('param_grid must be an object of parameter value lists');
+    }
+
+    const axes = Object.entries(grid).map(([parameter, values]) => {
+      const parse = GRID_PARAMETERS[parameter];
+      if (!parse) {
+        throw new Error(`Unknown grid parameter "${parameter}" (use ${Object.keys(GRID_PARAMETERS).join(', ')})`);
+      }
+      const parsed = (Array.isArray(values) ? values : [values]).map(value => {
+        const result = parse(value);
+        if (result === undefined) {
+          throw new Error(`Invalid ${parameter} value "${value}" in param_grid`);
+        }
+        return result;
+      });
+      return [parameter, [...new Set(parsed)]];
+    }).filter(([, values]) => values.length > 0);
+
+    return axes.length > 0 ? Object.fromEntries(axes) : null;
+  }
+
+  /**
+   * Expand every scenario into one scenario per parameter grid combination, named
+   * `<name> [max_tokens=64, temperature=0]` and carrying the combination as `params`
+   */
+  expandParameterGrid(scenarios, grid) {
+    if (!grid) {
+      return scenarios;
+    }
+
+    const combinations = Object.entries(grid).reduce((combos, [parameter, values]) =>
+      combos.flatMap(combo => values.map(value => ({ ...combo, [parameter]: value }))), [{}]);
+
+    return scenarios.flatMap(scenario => combinations.map(params => ({
+      ...scenario,
+      name: `${scenario.name} [${Object.entries(params).map(([key, value]) => `${key}=${value}`).join(', ')}]`,
+      params
+    })));
+  }
+
+  /**
+   * Apply a parameter grid point: its values override the run's temperature and streaming
+   * and the scenario's max_tokens
+   * @returns {Object} { scenario, config }
+   */
+  applyGridParams(scenario, config) {
+    if (!scenario.params) {
+      return { scenario, config };
+    }
+    const { max_tokens, ...overrides } = scenario.params;
+    return {
+      scenario: max_tokens !== undefined ? { ...scenario, max_tokens } : scenario,
+      config: { ...config, ...overrides }
+    };
+  }
+
+  /**
+   * Resolve what a scenario sends: parameter grid values, and for context sweep points
+   * a prompt padded to context_length tokens of this model's tokenizer
+   * @returns {Object} { scenario, config }
+   */
+  async prepareScenario(modelInfo, scenario, config) {
+    ({ scenario, config } = this.applyGridParams(scenario, config));
+    if (scenario.context_length) {
+      scenario = { ...scenario, ...await contextSweep.buildPrompt(modelInfo.id, scenario) };
+    }
+    return { scenario, config };
+  }
+
+  /**
+   * Relative width of the bootstrap 95% CI of the median: (high - low) / median
+   * @returns {number|null} null with fewer than 2 values
+   */
+  relativeMedianCIWidth(values) {
+    const ci = bootstrapCI(values, median);
+    const p50 = values.length > 0 ? median(values) : 0;
+    return ci && p50 > 0 ? (ci[1] - ci[0]) / p50 : null;
+  }
+
+  /**
+   * Collect system resource metrics, plus the Foundry Local service processes' CPU (%) and RSS (MB)
+   * and the CPU temperature (°C) and clock speed (GHz)
+   * @param {Object} state - Per-sampler state; `service` holds its last service snapshot, the baseline of
+   *   the next service CPU %
    */
-  async collectResourceMetrics() {
+  async collectResourceMetrics(state = {}) {
     try {
-      const [cpu, mem, graphics] = await Promise.all([
+      const [cpu, mem, graphics, service, thermal] = await Promise.all([
         si.currentLoad(),
         si.mem(),
-        si.graphics().catch(() => ({ controllers: [] }))
+        si.graphics().catch(() => ({ controllers: [] })),
+        processMonitor.snapshot({ previous: state.service }),
+        thermalMonitor.read()
       ]);
+      state.service = service;
 
       return {
         cpu: cpu.currentLoad,
         ram: (mem.used / mem.total) * 100,
-        gpu: graphics.controllers[0]?.utilizationGpu || null
+        gpu: graphics.controllers[0]?.utilizationGpu || null,
+        service_cpu: service?.cpu ?? null,
+        service_rss: service?.rss_mb ?? null,
+        temp: thermal.temp,
+        cpu_speed: thermal.cpu_speed
       };
     } catch (error) {
       logger.warn('Failed to collect resource metrics', { error: error.message });
-      return { cpu: null, ram: null, gpu: null };
+      return { cpu: null, ram: null, gpu: null, service_cpu: null, service_rss: null, temp: null, cpu_speed: null };
     }
   }
 
@@ -81,92 +273,311 @@ class BenchmarkEngine {
   }
 
   /**
-   * Run a single inference and measure metrics
-   * @param {Object} modelInfo - Model info from Foundry Local SDK
-   * @param {Object} scenario - Benchmark scenario
-   * @param {Object} config - Benchmark configuration
+   * Get the chat messages of a scenario
+   * A scenario carries either a single `prompt` or a full `messages` array
+   * (system prompt, prior assistant turns, user turns)
+   */
+  getConversation(scenario) {
+    if (Array.isArray(scenario.messages) && scenario.messages.length > 0) {
+      return scenario.messages;
+    }
+    if (scenario.prompt) {
+      return [{ role: 'user', content: scenario.prompt }];
+    }
+    throw new Error(`Scenario ${scenario.name} has neither a prompt nor messages`);
+  }
+
+  /**
+   * Send one chat completion request and measure it
+   * Output tokens come from the usage reported by the service; without usage they are counted
+   * with the local tokenizer of the model family, and only as a last resort by stream chunks
+   * (runtimes may batch several tokens into one chunk)
+   * @param {Array} messages - Message history sent with the request
+   * @param {AbortSignal} signal - Aborts the request (timeout or cancellation)
+   * @returns {Object} Generated text, TTFT, output and prompt token counts with their counting methods,
+   *   inter-token delays, arrival time of each streamed chunk, decode time and latency (ms); times are
+   *   monotonic (performance.now), with startTime the moment the request was sent
+   */
+  async sendChatCompletion(client, modelName, messages, scenario, config, signal) {
+    const startTime = performance.now();
+    const result = {
+      text: '',
+      ttft: null,
+      tokens: 0,
+      tokenCountMethod: null,
+      promptTokens: null,
+      promptTokenCountMethod: null,
+      chunks: 0,
+      interTokenDelays: [],
+      tokenTimes: [],
+      decodeTime: null,
+      latency: null,
+      startTime
+    };
+
+    let firstTokenTime = null;
+    let lastTokenTime = null;
+    let usage = null;
+
+    // Use streaming to measure TTFT if enabled
+    if (config.streaming) {
+      const request = {
+        model: modelName,
+        messages,
+        max_tokens: scenario.max_tokens || 100,
+        temperature: config.temperature ?? 0.7,
+        stream: true
+      };
+      let stream;
+      if (this.noStreamUsage.has(client.baseURL)) {
+        stream = await client.chat.completions.create(request, { signal });
+      } else {
+        try {
+          stream = await client.chat.completions.create({
+            ...request,
+            stream_options: { include_usage: true }
+          }, { signal });
+        } catch (error) {
+          // Runtimes without stream_options support reject it; retry without it and count tokens locally
+          if (error.status !== 400 && error.status !== 422) {
+            throw error;
+          }
+          stream = await client.chat.completions.create(request, { signal });
+          // Remembered only once the plain request succeeds, so unrelated 400s do not disable usage
+          logger.warn('Endpoint rejected stream_options, streaming without usage', {
+            endpoint: client.baseURL,
+            status: error.status
+          });
+          this.noStreamUsage.add(client.baseURL);
+        }
+      }
+
+      for await (const chunk of stream) {
+        // With include_usage the final chunk carries the usage and no choices
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+
+        if (chunk.choices?.[0]?.delta?.content) {
+          const currentTokenTime = performance.now();
+          const content = chunk.choices[0].delta.content;
+          result.text += content;
+          result.tokenTimes.push(currentTokenTime - startTime);
+
+          if (!firstTokenTime) {
+            // First token: record TTFT
+            firstTokenTime = currentTokenTime;
+            result.ttft = firstTokenTime - startTime;
+            lastTokenTime = currentTokenTime;
+          } else {
+            // Subsequent chunks: calculate inter-chunk delay
+            const interTokenDelay = currentTokenTime - lastTokenTime;
+            result.interTokenDelays.push(interTokenDelay);
+            lastTokenTime = currentTokenTime;
+          }
+
+          result.chunks++;
+        }
+      }
+
+      if (firstTokenTime) {
+        result.decodeTime = lastTokenTime - firstTokenTime;
+      }
+    } else {
+      // Non-streaming inference
+      const response = await client.chat.completions.create({
+        model: modelName,
+        messages,
+        max_tokens: scenario.max_tokens || 100,
+        temperature: config.temperature ?? 0.7
+      }, { signal });
+
+      result.text = response.choices[0]?.message?.content || '';
+      usage = response.usage || null;
+      result.ttft = null; // Can't measure TTFT without streaming
+    }
+
+    result.latency = performance.now() - startTime;
+
+    if (Number.isFinite(usage?.completion_tokens)) {
+      result.tokens = usage.completion_tokens;
+      result.tokenCountMethod = 'usage';
+    } else {
+      const counted = await tokenizer.countTokens(modelName, result.text);
+      if (counted) {
+        result.tokens = counted.tokens;
+        result.tokenCountMethod = counted.method;
+        result.tokenizer = counted.encoding;
+      } else {
+        result.tokens = result.chunks;
+        result.tokenCountMethod = 'chunks';
+      }
+    }
+
+    if (Number.isFinite(usage?.prompt_tokens)) {
+      result.promptTokens = usage.prompt_tokens;
+      result.promptTokenCountMethod = 'usage';
+    } else {
+      const counted = await tokenizer.countPromptTokens(modelName, messages);
+      if (counted) {
+        result.promptTokens = counted.tokens;
+        result.promptTokenCountMethod = counted.method;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Empty metrics of one request
    */
-  async runSingleInference(modelInfo, scenario, config) {
-    const metrics = {
+  createMetrics() {
+    return {
       startTime: performance.now(),
       endTime: null,
       ttft: null,
       tokens: 0,
+      tokenCountMethod: null,
       interTokenDelays: [],
+      tokenTimes: [],
+      stalls: 0,
+      decodeTime: 0,
+      decodeTokens: 0,
+      promptTokens: null,
+      promptTokenCountMethod: null,
+      prefillTokens: 0,
+      prefillTime: 0,
+      output: null,
       error: null,
-      timeout: false
+      timeout: false,
+      cancelled: false,
+      turns: []
     };
+  }
+
+  /**
+   * Per-request figures an SLO is checked against (TPOT is null for single-token answers)
+   */
+  sloRequest(metrics) {
+    return {
+      latency: metrics.endTime - metrics.startTime,
+      ttft: metrics.ttft,
+      tpot: metrics.decodeTokens > 0 && metrics.decodeTime > 0 ? metrics.decodeTime / metrics.decodeTokens : null,
+      tokens: metrics.tokens,
+      error: metrics.error,
+      timeout: metrics.timeout
+    };
+  }
+
+  /**
+   * Run a single inference and measure metrics
+   * @param {Object} modelInfo - Model info from Foundry Local SDK
+   * @param {Object} scenario - Benchmark scenario
+   * @param {Object} config - Benchmark configuration
+   * @param {AbortSignal} [signal] - Run cancellation signal
+   */
+  async runSingleInference(modelInfo, scenario, config, signal = null) {
+    const metrics = this.createMetrics();
+
+    // Abort the in-flight request when the run is cancelled
+    const controller = new AbortController();
+    const onCancel = () => controller.abort();
+    signal?.addEventListener('abort', onCancel, { once: true });
+    let timeoutId = null;
 
     try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => {
+      timeoutId = setTimeout(() => {
         controller.abort();
         metrics.timeout = true;
       }, config.timeout || 30000);
 
-      const startTime = Date.now();
-      let firstTokenTime = null;
-      let lastTokenTime = null;
-
       // Get OpenAI client from orchestrator
       const client = orchestrator.getOpenAIClient();
 
       // Select model identifier: use id (full model identifier) as it's required by Foundry Local OpenAI API
       const modelName = modelInfo.id;
 
+      const conversation = this.getConversation(scenario);
+      const multiTurn = Boolean(scenario.multi_turn && scenario.messages);
+
+      // Index of the user message that ends each request: every user message when the
+      // conversation is replayed turn by turn, otherwise only the last message
+      const turnEnds = multiTurn
+        ? conversation.map((m, idx) => m.role === 'user' ? idx : -1).filter(idx => idx !== -1)
+        : [conversation.length - 1];
+
       // Log the model being used for debugging
       logger.info('Running inference', {
         modelId: modelName,
         modelAlias: modelInfo.alias,
         scenario: scenario.name,
-        prompt: scenario.prompt
+        prompt: conversation[conversation.length - 1]?.content,
+        messages: conversation.length,
+        turns: turnEnds.length
       });
 
+      const history = [];
+      let cursor = 0;
       let generatedText = '';
 
-      // Use streaming to measure TTFT if enabled
-      if (config.streaming) {
-        const stream = await client.chat.completions.create({
-          model: modelName,
-          messages: [{ role: 'user', content: scenario.prompt }],
-          max_tokens: scenario.max_tokens || 100,
-          temperature: config.temperature || 0.7,
-          stream: true
-        }, { signal: controller.signal });
-
-        for await (const chunk of stream) {
-          if (chunk.choices[0]?.delta?.content) {
-            const currentTokenTime = Date.now();
-            const content = chunk.choices[0].delta.content;
-            generatedText += content;
-
-            if (!firstTokenTime) {
-              // First token: record TTFT
-              firstTokenTime = currentTokenTime;
-              metrics.ttft = firstTokenTime - startTime;
-              lastTokenTime = currentTokenTime;
-            } else {
-              // Subsequent tokens: calculate inter-token delay
-              const interTokenDelay = currentTokenTime - lastTokenTime;
-              metrics.interTokenDelays.push(interTokenDelay);
-              lastTokenTime = currentTokenTime;
-            }
+      for (const [turn, end] of turnEnds.entries()) {
+        history.push(...conversation.slice(cursor, end + 1));
+        cursor = end + 1;
+
+        const response = await this.sendChatCompletion(client, modelName, history, scenario, config, controller.signal);
+        generatedText = response.text;
+
+        metrics.turns.push({
+          turn: turn + 1,
+          messages: history.length,
+          ttft: response.ttft,
+          latency: response.latency,
+          tokens: response.tokens,
+          token_count_method: response.tokenCountMethod,
+          prompt_tokens: response.promptTokens
+        });
+
+        // TTFT of the iteration is the first turn's (the first output the user sees)
+        if (turn === 0) {
+          metrics.ttft = response.ttft;
+        }
+        metrics.tokens += response.tokens;
+        metrics.interTokenDelays.push(...response.interTokenDelays);
 
-            metrics.tokens++;
+        // Chunk arrival times relative to the start of the iteration (0.01 ms resolution keeps raw data small)
+        const turnOffset = response.startTime - metrics.startTime;
+        metrics.tokenTimes.push(...response.tokenTimes.map(t => Math.round((turnOffset + t) * 100) / 100));
+
+        // Tokens after the first one are produced during the decode time
+        if (response.decodeTime !== null && response.tokens > 1) {
+          metrics.decodeTime += response.decodeTime;
+          metrics.decodeTokens += response.tokens - 1;
+        }
+
+        // One method per iteration: the least accurate one used by any of its turns
+        metrics.tokenCountMethod = this.leastAccurateMethod(metrics.tokenCountMethod, response.tokenCountMethod);
+        if (response.tokenizer) {
+          metrics.tokenizer = response.tokenizer;
+        }
+
+        // Every turn prefills its whole history; prefill throughput is prompt tokens over TTFT
+        if (response.promptTokens !== null) {
+          metrics.promptTokens = (metrics.promptTokens || 0) + response.promptTokens;
+          metrics.promptTokenCountMethod = this.leastAccurateMethod(
+            metrics.promptTokenCountMethod,
+            response.promptTokenCountMethod
+          );
+          if (response.ttft > 0) {
+            metrics.prefillTokens += response.promptTokens;
+            metrics.prefillTime += response.ttft;
           }
         }
-      } else {
-        // Non-streaming inference
-        const response = await client.chat.completions.create({
-          model: modelName,
-          messages: [{ role: 'user', content: scenario.prompt }],
-          max_tokens: scenario.max_tokens || 100,
-          temperature: config.temperature || 0.7
-        }, { signal: controller.signal });
 
-        generatedText = response.choices[0]?.message?.content || '';
-        metrics.tokens = response.usage?.completion_tokens || 0;
-        metrics.ttft = null; // Can't measure TTFT without streaming
+        // The next turn sees the scripted assistant reply if the conversation has one,
+        // otherwise the reply the model just generated
+        if (multiTurn && turn < turnEnds.length - 1 && conversation[cursor]?.role !== 'assistant') {
+          history.push({ role: 'assistant', content: response.text });
+        }
       }
 
       // Log the generated output
@@ -176,15 +587,27 @@ class BenchmarkEngine {
         scenario: scenario.name,
         generatedText,
         tokens: metrics.tokens,
-        latency: `${(Date.now() - startTime)}ms`
+        latency: `${(performance.now() - metrics.startTime).toFixed(0)}ms`
       });
 
       clearTimeout(timeoutId);
       metrics.endTime = performance.now();
+      // Keep the final output for correctness checks
+      metrics.output = generatedText;
 
     } catch (error) {
       metrics.error = error.message;
       metrics.endTime = performance.now();
+
+      if (signal?.aborted) {
+        metrics.cancelled = true;
+        logger.info('Inference cancelled', {
+          modelId: modelInfo.id,
+          modelAlias: modelInfo.alias,
+          scenario: scenario.name
+        });
+        return metrics;
+      }
       
       // Log detailed error information
       logger.error('Inference failed', {
@@ -197,15 +620,74 @@ class BenchmarkEngine {
         response: error.response?.data,
         stack: error.stack
       });
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', onCancel);
     }
 
     return metrics;
   }
 
+  /**
+   * Score the outputs of successful iterations with the run's judge model
+   * Each iteration gets `judge: { score, rationale }` (or `{ score: null, error }`)
+   */
+  async judgeIterations(scenario, config, iterations, drawScenario, warmupIterations, benchmarkLogger, signal) {
+    const judgeInfo = orchestrator.getLoadedModelInfo(config.judge_model_id);
+    if (!judgeInfo) {
+      benchmarkLogger.warn('Judge model not loaded, skipping quality scoring', {
+        scenario: scenario.name,
+        judgeModelId: config.judge_model_id
+      });
+      return;
+    }
+
+    for (const metrics of iterations) {
+      if (signal?.aborted) return;
+      if (metrics.error || metrics.timeout || !metrics.output) continue;
+
+      const drawn = drawScenario(warmupIterations + metrics.iteration - 1);
+      metrics.judge = await judge.score(judgeInfo, {
+        prompt: drawn.messages ?? drawn.prompt,
+        output: metrics.output,
+        rubric: scenario.rubric
+      }, { timeout: config.timeout || 30000, signal });
+
+      benchmarkLogger.info('Iteration judged', {
+        scenario: scenario.name,
+        iteration: metrics.iteration,
+        judge: judgeInfo.alias,
+        score: metrics.judge.score,
+        error: metrics.judge.error
+      });
+    }
+  }
+
+  /**
+   * Cold start: unload the model, optionally evict its files from the OS page cache, and load it again
+   * @returns {Object} { load_time (ms), download_time (ms, null unless the load had to download), page_cache }
+   */
+  async coldStartModel(modelId, model, scenario) {
+    const alias = model.model_id || model.alias;
+    const foundryId = orchestrator.getLoadedModelInfo(modelId)?.id || model.model_id;
+
+    if (orchestrator.getLoadedModelInfo(modelId)) {
+      await orchestrator.unloadModel(modelId, alias);
+    }
+    const page_cache = scenario.evict_page_cache ? await cacheManager.evictFromPageCache(foundryId) : null;
+
+    await orchestrator.loadModel(modelId, alias);
+    const { load_time, download_time } = orchestrator.getLastLoad(modelId);
+    return { load_time, download_time, page_cache };
+  }
+
   /**
    * Run benchmark scenario for a model
+   * @param {AbortSignal} [signal] - Run cancellation signal; a cancelled scenario throws
+   * @param {Object} [thermalState] - Shared across the scenarios of a run: baselineSpeed, the highest
+   *   CPU clock seen so far, which later scenarios are compared against to detect throttling
    */
-  async runScenario(modelId, scenario, config, progressCallback) {
+  async runScenario(modelId, scenario, config, progressCallback, signal = null, thermalState = { baselineSpeed: null }) {
     const benchmarkLogger = createBenchmarkLogger(modelId);
     
     // Get model info from storage first
@@ -215,15 +697,30 @@ class BenchmarkEngine {
     }
     
     // Get model info from orchestrator (loaded model info)
-    const modelInfo = orchestrator.getLoadedModelInfo(modelId);
+    let modelInfo = orchestrator.getLoadedModelInfo(modelId);
     
     if (!modelInfo) {
       throw new Error(`Model ${modelId} not loaded in Foundry Local. Please load the model first.`);
     }
 
+    // Adaptive mode keeps sampling until the p50 latency CI is tight enough or max_iterations is hit;
+    // fixed mode runs exactly config.iterations
+    const adaptive = Boolean(config.adaptive_iterations);
+    const iterationLimit = adaptive ? config.max_iterations : config.iterations;
+
+    // Cold-start scenarios reload the model before every request (no warmups, one request at a time)
+    const coldStart = scenario.type === 'cold_start';
+
+    ({ scenario, config } = await this.prepareScenario(modelInfo, scenario, config));
+
     benchmarkLogger.info('Running scenario', { 
       scenario: scenario.name,
-      iterations: config.iterations,
+      iterations: adaptive ? `${config.min_iterations}-${config.max_iterations} (adaptive)` : config.iterations,
+      warmupIterations: coldStart ? 0 : config.warmup_iterations || 0,
+      concurrency: coldStart ? 1 : config.concurrency || 1,
+      coldStart,
+      contextLength: scenario.context_length,
+      params: scenario.params,
       modelAlias: modelInfo.alias,
       modelId: model.model_id
     });
@@ -236,46 +733,181 @@ class BenchmarkEngine {
       allInterTokenDelays: [],
       errors: 0,
       timeouts: 0,
-      resourceSnapshots: []
+      warmupIterations: [],
+      cooldowns: []
+    };
+
+    // Dataset scenarios draw one prompt per request (warmups first, then measured iterations)
+    const sampler = scenario.dataset ? datasets.createSampler(scenario.dataset) : null;
+    const drawScenario = (drawIndex) => {
+      if (!sampler) return scenario;
+      const { index, row } = sampler(drawIndex);
+      return {
+        ...scenario,
+        prompt: row.prompt,
+        messages: row.messages,
+        max_tokens: scenario.params?.max_tokens ?? row.max_tokens ?? scenario.max_tokens,
+        expected: row.expected ?? scenario.expected,
+        dataset_row: index
+      };
+    };
+    const runDrawnInference = async (drawIndex) => {
+      const drawn = drawScenario(drawIndex);
+      const metrics = await this.runSingleInference(modelInfo, drawn, config, signal);
+      if (sampler) {
+        // Keep per-prompt results for dataset analysis
+        metrics.dataset_row = drawn.dataset_row;
+        metrics.prompt = drawn.prompt ?? drawn.messages;
+      }
+
+      // Check the output against the scenario's expected rules (if any)
+      if (!metrics.error && !metrics.timeout) {
+        const validation = validator.evaluate(metrics.output, drawn.expected);
+        if (validation) {
+          metrics.correct = validation.passed;
+          metrics.validation = validation.checks;
+        }
+      }
+      return metrics;
+    };
+
+    // Cooldown waits are shared by the workers and start once the requests in flight have finished, so
+    // nothing runs while the CPU cools; waits during the timed iterations are left out of the measured
+    // wall time, energy and service CPU time
+    const inFlight = new Set();
+    const cooldownIntervals = []; // [start, end] in ms since the sampler started
+    const excluded = { seconds: 0, joules: 0, cpu_time: 0 };
+    let cooling = null;
+    const coolDown = async (before) => {
+      await Promise.all(inFlight);
+      const measured = wallStart !== undefined;
+      const energyStart = measured ? await energyMonitor.snapshot() : null;
+      const serviceStart = measured ? await processMonitor.snapshot() : null;
+      const start = performance.now();
+
+      const cooldown = await thermalMonitor.waitForCooldown(config.cooldown_temp, {
+        timeout: (config.cooldown_timeout || 300) * 1000,
+        signal
+      });
+
+      const end = performance.now();
+      cooldownIntervals.push([resourceSampler.toOffset(start), resourceSampler.toOffset(end)]);
+      if (measured) {
+        excluded.seconds += (end - start) / 1000;
+        excluded.joules += energyMonitor.measure(energyStart, await energyMonitor.snapshot())?.joules ?? 0;
+        excluded.cpu_time += processMonitor.cpuTimeDelta(serviceStart, await processMonitor.snapshot()) ?? 0;
+      }
+      if (cooldown.waited > 0) {
+        results.cooldowns.push({ before, ...cooldown });
+        benchmarkLogger.info('Cooled down', {
+          scenario: scenario.name,
+          before,
+          waited: (cooldown.waited / 1000).toFixed(1) + 's',
+          start_temp: cooldown.start_temp,
+          end_temp: cooldown.end_temp,
+          timed_out: cooldown.timed_out
+        });
+      }
+    };
+
+    // Pause between requests: the cooldown policy (wait until the CPU is below cooldown_temp) when
+    // configured, otherwise a short fixed delay
+    const pause = async (before) => {
+      if (!config.cooldown_temp) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        return;
+      }
+      if (!cooling) {
+        const { temp } = await thermalMonitor.read();
+        if (temp === null) {
+          // No temperature sensor: keep the fixed delay
+          await new Promise(resolve => setTimeout(resolve, 100));
+          return;
+        }
+        if (temp < config.cooldown_temp) {
+          return;
+        }
+        // Another worker may have started a cooldown while the temperature was read; join it
+        cooling = cooling || coolDown(before).finally(() => {
+          cooling = null;
+        });
+      }
+      await cooling;
+    };
+
+    // Warmup iterations absorb graph compilation and cache warmup on the NPU/GPU;
+    // they are kept in raw data but excluded from the aggregated metrics
+    const warmupIterations = coldStart ? 0 : Math.max(0, parseInt(config.warmup_iterations) || 0);
+    const runWarmups = async () => {
+      for (let w = 0; w < warmupIterations && !signal?.aborted; w++) {
+        const metrics = await runDrawnInference(w);
+        metrics.iteration = w + 1;
+        metrics.warmup = true;
+        results.warmupIterations.push(metrics);
+
+        benchmarkLogger.info('Warmup iteration completed', {
+          scenario: scenario.name,
+          iteration: w + 1,
+          total: warmupIterations,
+          latency: (metrics.endTime - metrics.startTime).toFixed(2),
+          ttft: metrics.ttft ? metrics.ttft.toFixed(2) : 'N/A',
+          error: metrics.error || undefined
+        });
+      }
+    };
+
+    // Number of requests kept in flight at once (never more than the iteration count)
+    const concurrency = coldStart ? 1 : Math.max(1, Math.min(parseInt(config.concurrency) || 1, iterationLimit));
+    let nextIteration = 0;
+    let completedIterations = 0;
+    let stopReason = null;
+
+    // Stop sampling once min_iterations are done and the p50 latency CI is within the target width
+    const checkStability = () => {
+      if (!adaptive || stopReason || completedIterations < config.min_iterations) return;
+      const width = this.relativeMedianCIWidth(results.latencies);
+      if (width !== null && width <= config.target_ci_width) {
+        stopReason = 'ci_target';
+        benchmarkLogger.info('Latency stable, stopping iterations', {
+          scenario: scenario.name,
+          iterations: completedIterations,
+          ciWidth: width.toFixed(3)
+        });
+      }
     };
 
-    // Run iterations
-    for (let i = 0; i < config.iterations; i++) {
+    const runIteration = async (i, worker) => {
       benchmarkLogger.info('Starting iteration', {
         scenario: scenario.name,
         iteration: i + 1,
-        total: config.iterations,
+        total: iterationLimit,
+        worker,
         modelId,
         modelAlias: modelInfo.alias
       });
 
-      if (progressCallback) {
-        progressCallback({
-          modelId,
-          scenario: scenario.name,
-          iteration: i + 1,
-          total: config.iterations
-        });
+      // Cold start: reload the model, then time the first request against the fresh load
+      let coldStartInfo = null;
+      if (coldStart) {
+        try {
+          coldStartInfo = await this.coldStartModel(modelId, model, scenario);
+          modelInfo = orchestrator.getLoadedModelInfo(modelId);
+        } catch (error) {
+          coldStartInfo = { error: error.message };
+        }
       }
 
-      // Collect resource metrics before inference
-      const resourcesBefore = await this.collectResourceMetrics();
-      benchmarkLogger.debug('Resources before inference', {
-        cpu: resourcesBefore.cpu?.toFixed(2),
-        ram: resourcesBefore.ram?.toFixed(2),
-        gpu: resourcesBefore.gpu?.toFixed(2)
-      });
-
       // Run inference with modelInfo
-      const metrics = await this.runSingleInference(modelInfo, scenario, config);
-
-      // Collect resource metrics after inference
-      const resourcesAfter = await this.collectResourceMetrics();
-      benchmarkLogger.debug('Resources after inference', {
-        cpu: resourcesAfter.cpu?.toFixed(2),
-        ram: resourcesAfter.ram?.toFixed(2),
-        gpu: resourcesAfter.gpu?.toFixed(2)
-      });
+      const metrics = coldStartInfo?.error
+        ? { ...this.createMetrics(), endTime: performance.now(), error: `Cold start failed: ${coldStartInfo.error}` }
+        : await runDrawnInference(warmupIterations + i);
+      metrics.iteration = i + 1;
+      metrics.worker = worker;
+      if (coldStartInfo && !coldStartInfo.error) {
+        metrics.cold_start = coldStartInfo;
+        // Time to first answer: load plus first token (plus the whole response without streaming)
+        metrics.first_token_time = coldStartInfo.load_time + (metrics.ttft ?? metrics.endTime - metrics.startTime);
+      }
 
       const latency = metrics.endTime - metrics.startTime;
 
@@ -296,7 +928,8 @@ class BenchmarkEngine {
           iteration: i + 1,
           latency: latency.toFixed(2),
           tokens: metrics.tokens,
-          ttft: metrics.ttft ? metrics.ttft.toFixed(2) : 'N/A'
+          ttft: metrics.ttft ? metrics.ttft.toFixed(2) : 'N/A',
+          correct: metrics.correct
         });
       }
       
@@ -309,22 +942,123 @@ class BenchmarkEngine {
         }
         results.tokenCounts.push(metrics.tokens);
 
-        // Collect inter-token delays for TPOT calculation
+        // Collect inter-chunk delays (one entry per streamed chunk, kept in raw data)
         if (metrics.interTokenDelays.length > 0) {
           results.allInterTokenDelays.push(...metrics.interTokenDelays);
         }
       }
 
-      if (metrics.error) results.errors++;
+      // A timed-out request also carries the abort error: count it once, as a timeout
       if (metrics.timeout) results.timeouts++;
+      else if (metrics.error) results.errors++;
 
-      results.resourceSnapshots.push({
-        before: resourcesBefore,
-        after: resourcesAfter
+      completedIterations++;
+      checkStability();
+      if (progressCallback) {
+        progressCallback({
+          modelId,
+          scenario: scenario.name,
+          iteration: completedIterations,
+          total: iterationLimit
+        });
+      }
+    };
+
+    // Each worker pulls the next iteration index until all iterations are claimed,
+    // so exactly `concurrency` requests are in flight against the service
+    const runWorker = async (worker) => {
+      while (nextIteration < iterationLimit && !stopReason && !signal?.aborted) {
+        const i = nextIteration++;
+        const iteration = runIteration(i, worker);
+        inFlight.add(iteration);
+        await iteration;
+        inFlight.delete(iteration);
+
+        // No pause after the last iteration
+        if (nextIteration < iterationLimit && !stopReason && !signal?.aborted) {
+          await pause(`iteration ${nextIteration + 1}`);
+        }
+      }
+    };
+
+    // Resources are sampled in the background for the whole scenario (warmups included); the service
+    // processes are looked up once here, so each sample only reads their PIDs
+    await processMonitor.refresh();
+    const samplerState = {};
+    const resourceSampler = new ResourceSampler(() => this.collectResourceMetrics(samplerState), config.resource_sample_interval).start();
+    let wallStart;
+    let wallTime;
+    let serviceBefore;
+    let serviceAfter;
+    let energy;
+    try {
+      // Start every scenario cool, so models later in the run are not penalized by earlier heat
+      if (config.cooldown_temp) {
+        await pause('scenario');
+      }
+      await runWarmups();
+
+      // Service process and energy snapshots around the timed iterations
+      serviceBefore = await processMonitor.snapshot();
+      const energyBefore = await energyMonitor.snapshot();
+      wallStart = performance.now();
+      await Promise.all(Array.from({ length: concurrency }, (_, worker) => runWorker(worker + 1)));
+      wallTime = (performance.now() - wallStart) / 1000 - excluded.seconds; // Convert to seconds
+      energy = energyMonitor.measure(energyBefore, await energyMonitor.snapshot());
+      if (energy) {
+        const joules = Math.max(0, energy.joules - excluded.joules);
+        energy = { ...energy, joules, watts: wallTime > 0 ? joules / wallTime : null };
+      }
+      serviceAfter = await processMonitor.snapshot();
+    } finally {
+      results.resourceTimeline = await resourceSampler.stop();
+    }
+
+    // Throttling: compare each request's samples with the highest clock seen in the run
+    const timelineSamples = results.resourceTimeline.samples;
+    const speeds = timelineSamples.map(s => s.cpu_speed).filter(v => Number.isFinite(v));
+    if (speeds.length > 0) {
+      thermalState.baselineSpeed = Math.max(thermalState.baselineSpeed || 0, ...speeds);
+    }
+    for (const m of [...results.warmupIterations, ...results.iterations]) {
+      m.thermal = thermalMonitor.classify(timelineSamples, {
+        start: resourceSampler.toOffset(m.startTime),
+        end: resourceSampler.toOffset(m.endTime)
+      }, results.resourceTimeline.interval, {
+        baselineSpeed: thermalState.baselineSpeed,
+        tempThreshold: config.thermal_temp_threshold,
+        speedDrop: config.thermal_speed_drop
       });
+    }
+
+    // Request markers on the timeline (ms since the sampler started)
+    const measuredStart = resourceSampler.toOffset(wallStart);
+    results.resourceTimeline.measured_start = measuredStart;
+    results.resourceTimeline.baseline_speed = thermalState.baselineSpeed;
+    results.resourceTimeline.requests = [...results.warmupIterations, ...results.iterations].map(m => ({
+      iteration: m.iteration,
+      warmup: Boolean(m.warmup),
+      start: resourceSampler.toOffset(m.startTime),
+      end: resourceSampler.toOffset(m.endTime),
+      failed: Boolean(m.error || m.timeout),
+      throttled: Boolean(m.thermal?.throttled)
+    }));
+    results.iterations.sort((a, b) => a.iteration - b.iteration);
+    stopReason = stopReason || (adaptive ? 'max_iterations' : 'fixed');
+    const executedIterations = results.iterations.length;
+
+    // LLM-as-judge: score outputs after all timed iterations so judging does not affect the timings
+    if (config.judge_model_id && scenario.rubric) {
+      await this.judgeIterations(scenario, config, results.iterations, drawScenario, warmupIterations, benchmarkLogger, signal);
+    }
 
-      // Small delay between iterations
-      await new Promise(resolve => setTimeout(resolve, 100));
+    // Partial scenarios are not saved
+    if (signal?.aborted) {
+      benchmarkLogger.info('Scenario cancelled', {
+        scenario: scenario.name,
+        completedIterations
+      });
+      throw new Error(`Scenario ${scenario.name} cancelled`);
     }
 
     // Calculate aggregate metrics
@@ -335,61 +1069,222 @@ class BenchmarkEngine {
     const totalTime = results.latencies.reduce((sum, t) => sum + t, 0) / 1000; // Convert to seconds
     const tps = totalTime > 0 ? totalTokens / totalTime : 0;
 
-    // Calculate TPOT (Time Per Output Token) - average inter-token delay in ms
-    const tpot = results.allInterTokenDelays.length > 0
-      ? results.allInterTokenDelays.reduce((sum, t) => sum + t, 0) / results.allInterTokenDelays.length
+    // Aggregate throughput across all concurrent streams (tokens per wall-clock second)
+    const aggregate_tps = wallTime > 0 ? totalTokens / wallTime : 0;
+
+    // Calculate TPOT (Time Per Output Token) - decode time divided by the tokens generated after the first one, in ms
+    const successfulIterations = results.iterations.filter(m => !m.error && !m.timeout);
+    const decodeTime = successfulIterations.reduce((sum, m) => sum + m.decodeTime, 0);
+    const decodeTokens = successfulIterations.reduce((sum, m) => sum + m.decodeTokens, 0);
+    const tpot = decodeTokens > 0 && decodeTime > 0 ? decodeTime / decodeTokens : null;
+
+    // Prompt tokens per iteration (mean) and prefill throughput (prompt tokens per second of TTFT)
+    const promptCounts = successfulIterations.filter(m => m.promptTokens !== null).map(m => m.promptTokens);
+    const prompt_tokens = promptCounts.length > 0
+      ? promptCounts.reduce((sum, t) => sum + t, 0) / promptCounts.length
+      : null;
+    const prefillTokens = successfulIterations.reduce((sum, m) => sum + m.prefillTokens, 0);
+    const prefillTime = successfulIterations.reduce((sum, m) => sum + m.prefillTime, 0) / 1000; // Convert to seconds
+    const prefill_tps = prefillTime > 0 ? prefillTokens / prefillTime : null;
+
+    // Accuracy: percentage of answered iterations whose output passed the expected rules
+    const evaluatedIterations = successfulIterations.filter(m => m.correct !== undefined);
+    const accuracy = evaluatedIterations.length > 0
+      ? (evaluatedIterations.filter(m => m.correct).length / evaluatedIterations.length) * 100
       : null;
 
+    // Mean judge score (1-10) of the scored iterations
+    const judgedIterations = successfulIterations.filter(m => m.judge?.score !== null && m.judge?.score !== undefined);
+    const judge_score = judgedIterations.length > 0
+      ? judgedIterations.reduce((sum, m) => sum + m.judge.score, 0) / judgedIterations.length
+      : null;
+
+    // Spread of the per-iteration metrics (mean, stddev, min, max, CV, 95% bootstrap CI)
+    const stats = {
+      latency: summarize(successfulIterations.map(m => m.endTime - m.startTime)),
+      ttft: summarize(successfulIterations.filter(m => m.ttft !== null).map(m => m.ttft)),
+      tpot: summarize(successfulIterations.filter(m => m.decodeTokens > 0 && m.decodeTime > 0).map(m => m.decodeTime / m.decodeTokens)),
+      tokens: summarize(successfulIterations.map(m => m.tokens))
+    };
+
+    // Report the least accurate counting method used by any iteration
+    const token_count_method = successfulIterations
+      .reduce((method, m) => this.leastAccurateMethod(method, m.tokenCountMethod), null);
+
     // Calculate GenTPS (Generation Tokens Per Second) - 1000/TPOT
     const gen_tps = tpot > 0 ? 1000 / tpot : null;
 
-    const avgCpu = results.resourceSnapshots
-      .filter(r => r.after.cpu !== null)
-      .reduce((sum, r) => sum + r.after.cpu, 0) / results.resourceSnapshots.length || null;
-    
-    const avgRam = results.resourceSnapshots
-      .filter(r => r.after.ram !== null)
-      .reduce((sum, r) => sum + r.after.ram, 0) / results.resourceSnapshots.length || null;
-    
-    const avgGpu = results.resourceSnapshots
-      .filter(r => r.after.gpu !== null)
-      .reduce((sum, r) => sum + r.after.gpu, 0) / 
-      results.resourceSnapshots.filter(r => r.after.gpu !== null).length || null;
+    // Inter-token latency distribution: the mean TPOT hides the stutter users notice, so report the tail
+    // and count stalls (gaps longer than config.stall_threshold ms) per iteration
+    const sortedItls = [...results.allInterTokenDelays].sort((a, b) => a - b);
+    for (const m of results.iterations) {
+      m.stalls = m.interTokenDelays.filter(delay => delay > config.stall_threshold).length;
+    }
+
+    // SLO compliance and goodput (tokens per wall-clock second of the compliant requests only)
+    const slo = sloChecker.evaluate(results.iterations.map(m => this.sloRequest(m)), wallTime, config.slo);
+    if (config.slo) {
+      for (const m of results.iterations) {
+        m.slo_violations = sloChecker.violations(this.sloRequest(m), config.slo);
+      }
+    }
+
+    // Resource averages over the samples of the measured phase, without cooldown waits (all samples for very short scenarios)
+    const coolingAt = (t) => cooldownIntervals.some(([start, end]) => t >= start && t <= end);
+    const measuredSamples = results.resourceTimeline.samples.filter(r => r.t >= measuredStart && !coolingAt(r.t));
+    const resourceSamples = measuredSamples.length > 0 ? measuredSamples : results.resourceTimeline.samples;
+    const averageOf = (key) => {
+      const values = resourceSamples.map(r => r[key]).filter(v => v !== null && v !== undefined);
+      return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+    };
+    const avgCpu = averageOf('cpu');
+    const avgRam = averageOf('ram');
+    const avgGpu = averageOf('gpu');
+
+    // Foundry Local service attribution: peak RSS, private memory at the end, and CPU seconds of the
+    // timed iterations (from /proc where available, otherwise integrated from the sampled CPU %)
+    const serviceRss = resourceSamples.map(r => r.service_rss).filter(v => v !== null && v !== undefined);
+    const service_rss_peak = serviceRss.length > 0 ? Math.max(...serviceRss) : null;
+    const service_private_mb = serviceAfter?.private_mb ?? null;
+    let service_cpu_time = processMonitor.cpuTimeDelta(serviceBefore, serviceAfter);
+    if (service_cpu_time !== null) {
+      service_cpu_time = Math.max(0, service_cpu_time - excluded.cpu_time);
+    } else if (measuredSamples.some(r => r.service_cpu !== null)) {
+      // Time spent cooling down between two samples is not integrated
+      const activeTime = (from, to) => to - from - cooldownIntervals
+        .reduce((sum, [start, end]) => sum + Math.max(0, Math.min(end, to) - Math.max(start, from)), 0);
+      service_cpu_time = measuredSamples.slice(1).reduce((sum, r, idx) =>
+        sum + ((r.service_cpu ?? 0) / 100) * (activeTime(measuredSamples[idx].t, r.t) / 1000), 0);
+    }
+
+    // Cold start: median load time and time to first answer; download time only if a load had to download
+    const coldStarts = successfulIterations.filter(m => m.cold_start);
+    const downloadTimes = results.iterations
+      .map(m => m.cold_start?.download_time)
+      .filter(v => v !== null && v !== undefined);
+
+    // Thermal summary of the timed iterations
+    const measuredOf = (key) => measuredSamples.map(r => r[key]).filter(v => Number.isFinite(v));
+    const temps = measuredOf('temp');
+    const clockSpeeds = measuredOf('cpu_speed');
+    const throttled_iterations = results.iterations.filter(m => m.thermal?.throttled).length;
+    const cooldown_time = results.cooldowns.reduce((sum, c) => sum + c.waited, 0) / 1000;
+
+    // Energy efficiency of the timed iterations (system or package energy, not just the model)
+    const energy_joules = energy?.joules ?? null;
+    const joules_per_request = energy_joules !== null && successfulIterations.length > 0
+      ? energy_joules / successfulIterations.length
+      : null;
+    const tokens_per_joule = energy_joules ? totalTokens / energy_joules : null;
+
+    // Median TTFT per turn (multi-turn scenarios replay one request per user turn)
+    const turnCount = Math.max(0, ...successfulIterations.map(m => m.turns.length));
+    results.turnTtfts = Array.from({ length: turnCount }, (_, turn) => {
+      const sorted = successfulIterations
+        .map(m => m.turns[turn]?.ttft)
+        .filter(ttft => ttft !== null && ttft !== undefined)
+        .sort((a, b) => a - b);
+      return sorted.length > 0 ? sorted[Math.floor(sorted.length / 2)] : null;
+    });
+
+    // Cold numbers come from the first warmup iteration (the first request of the scenario)
+    const coldIteration = results.warmupIterations[0];
+    const coldSucceeded = coldIteration && !coldIteration.error && !coldIteration.timeout;
 
     const aggregated = {
       tps,
+      aggregate_tps,
+      concurrency,
       ttft: sortedTtfts.length > 0 ? sortedTtfts[Math.floor(sortedTtfts.length / 2)] : null,
+      prompt_tokens,
+      prefill_tps,
       tpot,
       gen_tps,
+      itl_p50: sortedItls.length > 0 ? this.calculatePercentile(sortedItls, 50) : null,
+      itl_p95: sortedItls.length > 0 ? this.calculatePercentile(sortedItls, 95) : null,
+      itl_p99: sortedItls.length > 0 ? this.calculatePercentile(sortedItls, 99) : null,
+      itl_max: sortedItls.length > 0 ? sortedItls[sortedItls.length - 1] : null,
+      stall_count: sortedItls.length > 0 ? successfulIterations.reduce((sum, m) => sum + m.stalls, 0) : null,
       latency_p50: this.calculatePercentile(sortedLatencies, 50),
       latency_p95: this.calculatePercentile(sortedLatencies, 95),
       latency_p99: this.calculatePercentile(sortedLatencies, 99),
-      error_rate: (results.errors / config.iterations) * 100,
-      timeout_rate: (results.timeouts / config.iterations) * 100,
+      accuracy,
+      judge_score,
+      error_rate: (results.errors / executedIterations) * 100,
+      timeout_rate: (results.timeouts / executedIterations) * 100,
       cpu_avg: avgCpu,
       ram_avg: avgRam,
       gpu_avg: avgGpu,
+      service_rss_peak,
+      service_private_mb,
+      service_cpu_time,
+      energy_joules,
+      avg_power_w: energy?.watts ?? null,
+      joules_per_request,
+      tokens_per_joule,
+      energy_source: energy?.source ?? null,
+      throttled_iterations,
+      temp_max: temps.length > 0 ? Math.max(...temps) : null,
+      cpu_speed_min: clockSpeeds.length > 0 ? Math.min(...clockSpeeds) : null,
+      cooldown_time,
+      load_time: coldStarts.length > 0 ? median(coldStarts.map(m => m.cold_start.load_time)) : null,
+      download_time: downloadTimes.length > 0 ? Math.max(...downloadTimes) : null,
+      first_token_time: coldStarts.length > 0 ? median(coldStarts.map(m => m.first_token_time)) : null,
+      turns: turnCount || 1,
+      warmup_iterations: warmupIterations,
+      cold_ttft: coldSucceeded ? coldIteration.ttft : null,
+      cold_latency: coldSucceeded ? coldIteration.endTime - coldIteration.startTime : null,
+      slo_compliance: slo?.slo_compliance ?? null,
+      goodput: slo?.goodput ?? null,
+      slo_pass: slo?.slo_pass ?? null,
       total_tokens: totalTokens,
-      total_iterations: config.iterations,
-      successful_iterations: config.iterations - results.errors - results.timeouts
+      token_count_method,
+      stats,
+      total_iterations: executedIterations,
+      successful_iterations: executedIterations - results.errors - results.timeouts,
+      iterations: executedIterations,
+      stop_reason: stopReason,
+      p50_ci_width: this.relativeMedianCIWidth(results.latencies)
     };
 
     benchmarkLogger.info('Scenario completed', {
       scenario: scenario.name,
       tps: aggregated.tps.toFixed(2),
+      aggregate_tps: aggregated.aggregate_tps.toFixed(2),
+      concurrency: aggregated.concurrency,
       ttft: aggregated.ttft ? aggregated.ttft.toFixed(2) : 'N/A',
+      prompt_tokens: aggregated.prompt_tokens !== null ? aggregated.prompt_tokens.toFixed(1) : 'N/A',
+      prefill_tps: aggregated.prefill_tps ? aggregated.prefill_tps.toFixed(2) : 'N/A',
       tpot: aggregated.tpot ? aggregated.tpot.toFixed(2) : 'N/A',
       gen_tps: aggregated.gen_tps ? aggregated.gen_tps.toFixed(2) : 'N/A',
+      itl_p99: aggregated.itl_p99 !== null ? aggregated.itl_p99.toFixed(2) : 'N/A',
+      stalls: aggregated.stall_count ?? 'N/A',
+      token_count_method: aggregated.token_count_method || 'N/A',
       p50: aggregated.latency_p50.toFixed(2),
       p95: aggregated.latency_p95.toFixed(2),
       p99: aggregated.latency_p99.toFixed(2),
+      latency_cv: stats.latency?.cv !== null && stats.latency?.cv !== undefined ? stats.latency.cv.toFixed(3) : 'N/A',
+      cold_ttft: aggregated.cold_ttft ? aggregated.cold_ttft.toFixed(2) : 'N/A',
+      cold_latency: aggregated.cold_latency ? aggregated.cold_latency.toFixed(2) : 'N/A',
+      accuracy: aggregated.accuracy !== null ? aggregated.accuracy.toFixed(1) + '%' : 'N/A',
+      judge_score: aggregated.judge_score !== null ? aggregated.judge_score.toFixed(1) : 'N/A',
       error_rate: aggregated.error_rate.toFixed(2) + '%',
       timeout_rate: aggregated.timeout_rate.toFixed(2) + '%',
       successful_iterations: aggregated.successful_iterations,
       total_iterations: aggregated.total_iterations,
+      stop_reason: aggregated.stop_reason,
+      p50_ci_width: aggregated.p50_ci_width !== null ? aggregated.p50_ci_width.toFixed(3) : 'N/A',
       cpu_avg: aggregated.cpu_avg ? aggregated.cpu_avg.toFixed(2) + '%' : 'N/A',
       ram_avg: aggregated.ram_avg ? aggregated.ram_avg.toFixed(2) + '%' : 'N/A',
-      gpu_avg: aggregated.gpu_avg ? aggregated.gpu_avg.toFixed(2) + '%' : 'N/A'
+      gpu_avg: aggregated.gpu_avg ? aggregated.gpu_avg.toFixed(2) + '%' : 'N/A',
+      service_rss_peak: service_rss_peak !== null ? service_rss_peak.toFixed(0) + ' MB' : 'N/A',
+      service_cpu_time: service_cpu_time !== null ? service_cpu_time.toFixed(2) + ' s' : 'N/A',
+      energy: energy ? `${energy.joules.toFixed(1)} J (${energy.source})` : 'N/A',
+      tokens_per_joule: tokens_per_joule !== null ? tokens_per_joule.toFixed(2) : 'N/A',
+      throttled_iterations,
+      cooldown_time: cooldown_time.toFixed(1) + 's',
+      load_time: aggregated.load_time !== null ? aggregated.load_time.toFixed(0) + 'ms' : undefined,
+      first_token_time: aggregated.first_token_time !== null ? aggregated.first_token_time.toFixed(0) + 'ms' : undefined
     });
 
     return {
@@ -398,14 +1293,355 @@ class BenchmarkEngine {
     };
   }
 
+  /**
+   * Run an open-loop load test: at each rate of the ramp, requests are sent on an arrival schedule
+   * (Poisson or constant) without waiting for earlier responses; each step drains before the next
+   * @returns {Object} { aggregated, raw } like runScenario; raw.loadSteps holds the per-step summary
+   */
+  async runLoadTest(modelId, scenario, config, progressCallback, signal = null) {
+    const benchmarkLogger = createBenchmarkLogger(modelId);
+
+    const modelInfo = orchestrator.getLoadedModelInfo(modelId);
+    if (!modelInfo) {
+      throw new Error(`Model ${modelId} not loaded in Foundry Local. Please load the model first.`);
+    }
+    ({ scenario, config } = await this.prepareScenario(modelInfo, scenario, config));
+
+    const rates = loadTest.getRates(scenario);
+    const arrival = scenario.arrival === 'constant' ? 'constant' : 'poisson';
+    const stepDuration = (parseFloat(scenario.step_duration) || 30) * 1000;
+    const maxInFlight = parseInt(scenario.max_in_flight) || 32;
+    const saturationFactor = parseFloat(scenario.saturation_factor) || 3;
+    const random = createSeededRandom(scenario.seed ?? scenario.name);
+    const sampler = scenario.dataset ? datasets.createSampler(scenario.dataset) : null;
+
+    benchmarkLogger.info('Running load test', {
+      scenario: scenario.name,
+      arrival,
+      rates,
+      stepDuration: `${stepDuration / 1000}s`,
+      maxInFlight,
+      modelAlias: modelInfo.alias
+    });
+
+    const testStart = performance.now();
+    const steps = [];
+    const requests = [];
+    let drawIndex = 0;
+    let baselineService = null;
+    let knee = -1;
+
+    for (const rate of rates) {
+      if (signal?.aborted) break;
+
+      const step = { rate, duration: stepDuration, requests: [], dropped: 0 };
+      const offsets = loadTest.arrivalOffsets(rate, stepDuration, arrival, random);
+      const pending = [];
+      let inFlight = 0;
+      const stepStart = performance.now();
+
+      for (const offset of offsets) {
+        const wait = stepStart + offset - performance.now();
+        if (wait > 0) {
+          await this.sleep(wait, signal);
+        }
+        if (signal?.aborted) break;
+
+        // Open loop: never wait for a response, but cap the open requests so an overloaded
+        // service does not pile up an unbounded backlog
+        if (inFlight >= maxInFlight) {
+          step.dropped++;
+          continue;
+        }
+
+        const lag = Math.max(0, performance.now() - stepStart - offset);
+        const row = sampler ? sampler(drawIndex++).row : null;
+        const drawn = row ? { ...scenario, prompt: row.prompt, messages: row.messages } : scenario;
+        inFlight++;
+        pending.push(this.runSingleInference(modelInfo, drawn, config, signal).then(metrics => {
+          inFlight--;
+          step.requests.push({ lag, metrics });
+          requests.push({
+            rate,
+            start: metrics.startTime - testStart,
+            lag,
+            ...this.sloRequest(metrics)
+          });
+        }));
+      }
+
+      await Promise.all(pending);
+      if (signal?.aborted) {
+        benchmarkLogger.info('Scenario cancelled', { scenario: scenario.name, steps: steps.length });
+        throw new Error(`Scenario ${scenario.name} cancelled`);
+      }
+      step.elapsed = performance.now() - stepStart;
+
+      const summary = loadTest.summarizeStep(step, baselineService);
+      baselineService = baselineService ?? summary.baseline_service;
+
+      // Dropped arrivals were never served, so they count against the SLO like failed requests
+      const stepSlo = sloChecker.evaluate([
+        ...step.requests.map(r => this.sloRequest(r.metrics)),
+        ...Array.from({ length: step.dropped }, () => ({ error: 'dropped' }))
+      ], step.elapsed / 1000, config.slo);
+      if (stepSlo) {
+        Object.assign(summary, stepSlo);
+      }
+      steps.push(summary);
+
+      benchmarkLogger.info('Load step completed', {
+        scenario: scenario.name,
+        targetRps: rate,
+        achievedRps: summary.achieved_rps.toFixed(2),
+        sent: summary.sent,
+        dropped: summary.dropped,
+        errors: summary.errors + summary.timeouts,
+        p95: summary.latency_p95 !== null ? summary.latency_p95.toFixed(0) : 'N/A',
+        queueDelayP95: summary.queue_delay_p95 !== null ? summary.queue_delay_p95.toFixed(0) : 'N/A'
+      });
+      if (progressCallback) {
+        progressCallback({
+          modelId,
+          scenario: scenario.name,
+          iteration: steps.length,
+          total: rates.length
+        });
+      }
+
+      knee = loadTest.findKnee(steps, saturationFactor);
+      if (knee !== -1 && scenario.stop_at_saturation !== false) {
+        benchmarkLogger.info('Saturation reached, ending ramp', { scenario: scenario.name, targetRps: steps[knee].target_rps });
+        break;
+      }
+    }
+
+    // Headline numbers come from the last step before the knee (the highest rate the service sustained)
+    const sustained = knee === -1 ? steps[steps.length - 1] : steps[knee - 1];
+    const sustainedRequests = requests.filter(r => r.rate === sustained?.target_rps && !r.error && !r.timeout);
+    const sent = steps.reduce((sum, s) => sum + s.sent, 0);
+    const completed = steps.reduce((sum, s) => sum + s.completed, 0);
+    const errors = steps.reduce((sum, s) => sum + s.errors, 0);
+    const timeouts = steps.reduce((sum, s) => sum + s.timeouts, 0);
+
+    const aggregated = {
+      tps: sustainedRequests.length > 0
+        ? sustainedRequests.reduce((sum, r) => sum + (r.latency > 0 ? r.tokens / (r.latency / 1000) : 0), 0) / sustainedRequests.length
+        : 0,
+      aggregate_tps: sustained?.output_tps ?? 0,
+      ttft: sustained?.ttft_p50 ?? null,
+      latency_p50: sustained?.latency_p50 ?? null,
+      latency_p95: sustained?.latency_p95 ?? null,
+      latency_p99: sustained?.latency_p99 ?? null,
+      error_rate: sent > 0 ? (errors / sent) * 100 : 0,
+      timeout_rate: sent > 0 ? (timeouts / sent) * 100 : 0,
+      max_sustainable_rps: sustained?.achieved_rps ?? null,
+      saturation_rps: knee !== -1 ? steps[knee].target_rps : null,
+      slo_compliance: sustained?.slo_compliance ?? null,
+      goodput: sustained?.goodput ?? null,
+      slo_pass: sustained?.slo_pass ?? null,
+      total_tokens: requests.reduce((sum, r) => sum + (r.error || r.timeout ? 0 : r.tokens), 0),
+      total_iterations: sent,
+      successful_iterations: completed,
+      iterations: sent,
+      stop_reason: knee !== -1 ? 'saturated' : 'ramp_complete'
+    };
+
+    benchmarkLogger.info('Load test completed', {
+      scenario: scenario.name,
+      steps: steps.length,
+      maxSustainableRps: aggregated.max_sustainable_rps !== null ? aggregated.max_sustainable_rps.toFixed(2) : 'N/A',
+      saturationRps: aggregated.saturation_rps ?? 'not reached'
+    });
+
+    return {
+      aggregated,
+      raw: {
+        arrival,
+        step_duration: stepDuration,
+        max_in_flight: maxInFlight,
+        saturation_factor: saturationFactor,
+        knee: knee !== -1 ? knee : null,
+        loadSteps: steps,
+        requests
+      }
+    };
+  }
+
+  /**
+   * Run a soak test: replay the scenario mix in rotation, one request at a time, until the wall-clock
+   * budget (config.soak_duration minutes) is used up, then analyse rolling windows for drift and memory growth
+   * @returns {Object} { aggregated, raw } like runScenario; raw.soak holds the windows and the analysis
+   */
+  async runSoak(modelId, scenario, config, progressCallback, signal = null) {
+    const benchmarkLogger = createBenchmarkLogger(modelId);
+
+    const modelInfo = orchestrator.getLoadedModelInfo(modelId);
+    if (!modelInfo) {
+      throw new Error(`Model ${modelId} not loaded in Foundry Local. Please load the model first.`);
+    }
+
+    const durationMs = config.soak_duration * 60000;
+    const windowMs = config.soak_window * 60000;
+
+    // Resolve every scenario of the mix once
+    const mix = [];
+    for (const entry of scenario.mix) {
+      const prepared = await this.prepareScenario(modelInfo, entry, config);
+      mix.push({
+        ...prepared,
+        sampler: prepared.scenario.dataset ? datasets.createSampler(prepared.scenario.dataset) : null,
+        draws: 0
+      });
+    }
+
+    benchmarkLogger.info('Running soak test', {
+      scenario: scenario.name,
+      duration: `${config.soak_duration} min`,
+      window: `${config.soak_window} min`,
+      mix: mix.map(entry => entry.scenario.name),
+      modelAlias: modelInfo.alias
+    });
+
+    // Fewer samples than regular scenarios: a soak lasts hours
+    await processMonitor.refresh();
+    const samplerState = {};
+    const resourceSampler = new ResourceSampler(
+      () => this.collectResourceMetrics(samplerState),
+      Math.max(config.resource_sample_interval || 1000, windowMs / 20)
+    ).start();
+    const requests = [];
+    let reported = 0;
+
+    for (let next = 0; resourceSampler.toOffset(performance.now()) < durationMs && !signal?.aborted; next++) {
+      const entry = mix[next % mix.length];
+      const row = entry.sampler ? entry.sampler(entry.draws++).row : null;
+      const drawn = row ? { ...entry.scenario, prompt: row.prompt, messages: row.messages } : entry.scenario;
+
+      const metrics = await this.runSingleInference(modelInfo, drawn, entry.config, signal);
+      const latency = metrics.endTime - metrics.startTime;
+      requests.push({
+        t: resourceSampler.toOffset(metrics.startTime),
+        scenario: entry.scenario.name,
+        latency,
+        ttft: metrics.ttft,
+        tpot: this.sloRequest(metrics).tpot,
+        tps: latency > 0 ? metrics.tokens / (latency / 1000) : 0,
+        tokens: metrics.tokens,
+        error: metrics.error,
+        timeout: metrics.timeout
+      });
+
+      // Back off after a failure instead of spinning on a broken model
+      if (metrics.error && !signal?.aborted) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+
+      const percent = Math.min(100, Math.floor((resourceSampler.toOffset(performance.now()) / durationMs) * 100));
+      if (percent > reported) {
+        reported = percent;
+        if (progressCallback) {
+          progressCallback({ modelId, scenario: scenario.name, iteration: percent, total: 100 });
+        }
+        if (percent % 10 === 0) {
+          benchmarkLogger.info('Soak progress', { scenario: scenario.name, percent, requests: requests.length });
+        }
+      }
+    }
+
+    const elapsed = resourceSampler.toOffset(performance.now());
+    const timeline = await resourceSampler.stop();
+
+    // Partial soaks are not saved
+    if (signal?.aborted) {
+      benchmarkLogger.info('Scenario cancelled', { scenario: scenario.name, requests: requests.length });
+      throw new Error(`Scenario ${scenario.name} cancelled`);
+    }
+
+    const windows = soakTest.buildWindows(requests, timeline.samples, elapsed, windowMs);
+    const drift = soakTest.detectDrift(requests, elapsed, windowMs);
+    const leak = soakTest.detectLeak(timeline.samples, windows);
+
+    const successful = requests.filter(r => !r.error && !r.timeout);
+    const sortedLatencies = successful.map(r => r.latency).sort((a, b) => a - b);
+    const ttfts = successful.map(r => r.ttft).filter(v => v !== null && v !== undefined);
+    const totalTokens = successful.reduce((sum, r) => sum + r.tokens, 0);
+    const averageOf = (key) => {
+      const values = timeline.samples.map(s => s[key]).filter(v => Number.isFinite(v));
+      return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+    };
+    const errors = requests.filter(r => r.error && !r.timeout).length;
+    const timeouts = requests.filter(r => r.timeout).length;
+    const slo = sloChecker.evaluate(requests, elapsed / 1000, config.slo);
+
+    const aggregated = {
+      tps: successful.length > 0 ? successful.reduce((sum, r) => sum + r.tps, 0) / successful.length : 0,
+      aggregate_tps: elapsed > 0 ? totalTokens / (elapsed / 1000) : 0,
+      ttft: ttfts.length > 0 ? median(ttfts) : null,
+      latency_p50: this.calculatePercentile(sortedLatencies, 50),
+      latency_p95: this.calculatePercentile(sortedLatencies, 95),
+      latency_p99: this.calculatePercentile(sortedLatencies, 99),
+      error_rate: requests.length > 0 ? (errors / requests.length) * 100 : 0,
+      timeout_rate: requests.length > 0 ? (timeouts / requests.length) * 100 : 0,
+      cpu_avg: averageOf('cpu'),
+      ram_avg: averageOf('ram'),
+      gpu_avg: averageOf('gpu'),
+      service_rss_peak: timeline.peaks.service_rss ?? null,
+      soak_duration: elapsed / 1000,
+      latency_drift: drift.latency?.change ?? null,
+      tps_drift: drift.tps?.change ?? null,
+      rss_growth_mb: leak?.growth_mb ?? null,
+      drift_detected: Boolean(drift.latency?.significant || drift.tps?.significant),
+      leak_detected: leak ? leak.leak : null,
+      slo_compliance: slo?.slo_compliance ?? null,
+      goodput: slo?.goodput ?? null,
+      slo_pass: slo?.slo_pass ?? null,
+      total_tokens: totalTokens,
+      total_iterations: requests.length,
+      successful_iterations: successful.length,
+      iterations: requests.length,
+      stop_reason: 'duration'
+    };
+
+    benchmarkLogger.info('Soak test completed', {
+      scenario: scenario.name,
+      requests: requests.length,
+      windows: windows.length,
+      latencyDrift: drift.latency ? `${(drift.latency.change * 100).toFixed(1)}% (p=${drift.latency.p_value.toPrecision(2)})` : 'N/A',
+      tpsDrift: drift.tps ? `${(drift.tps.change * 100).toFixed(1)}% (p=${drift.tps.p_value.toPrecision(2)})` : 'N/A',
+      rssGrowth: leak ? `${leak.growth_mb.toFixed(0)} MB` : 'N/A',
+      driftDetected: aggregated.drift_detected,
+      leakDetected: aggregated.leak_detected
+    });
+
+    return {
+      aggregated,
+      raw: {
+        soak: {
+          window: windowMs,
+          duration: elapsed,
+          mix: mix.map(entry => entry.scenario.name),
+          windows,
+          drift,
+          leak
+        },
+        requests,
+        // Requests are not shaded on the timeline: a soak sends thousands
+        resourceTimeline: { ...timeline, requests: [] }
+      }
+    };
+  }
+
   /**
    * Run complete benchmark suite
+   * @param {Object} options - returnImmediately: fire and forget; runId: ID assigned in advance (queue);
+   *   resumeRunId: continue an existing run, executing only the model × scenario pairs that have no saved result yet
    */
   async runBenchmark(modelIds, suiteName, suite, config, progressCallback, options = { returnImmediately: false }) {
-    const runId = uuidv4();
+    const runId = options.resumeRunId || options.runId || uuidv4();
     const benchmarkLogger = createBenchmarkLogger(runId);
     
-    benchmarkLogger.info('Starting benchmark run', { 
+    benchmarkLogger.info(options.resumeRunId ? 'Resuming benchmark run' : 'Starting benchmark run', { 
       runId, 
       models: modelIds,
       suite: suiteName 
@@ -418,26 +1654,105 @@ class BenchmarkEngine {
       progress: 0
     });
 
+    // Suite-level defaults apply where the run does not set a value
+    config = {
+      ...config,
+      warmup_iterations: config.warmup_iterations ?? suite.default_config?.warmup_iterations ?? 0
+    };
+    if (config.adaptive_iterations) {
+      const min = parseInt(config.min_iterations ?? suite.default_config?.min_iterations) || 5;
+      config.min_iterations = Math.max(2, min);
+      config.max_iterations = Math.max(config.min_iterations,
+        parseInt(config.max_iterations ?? suite.default_config?.max_iterations) || 50);
+      config.target_ci_width = parseFloat(config.target_ci_width ?? suite.default_config?.target_ci_width) || 0.1;
+    }
+    config.execution_order = config.execution_order || suite.default_config?.execution_order || 'sequential';
+    if (config.execution_order === 'randomized') {
+      // Stored with the run config, so the order can be reproduced (and is kept on resume)
+      config.execution_seed = config.execution_seed ?? suite.default_config?.execution_seed ?? generateSeed();
+    }
+    config.soak_duration = parseFloat(config.soak_duration ?? suite.default_config?.soak_duration) || null;
+    if (config.soak_duration) {
+      // At least four windows, so the first and last window do not overlap
+      const window = parseFloat(config.soak_window ?? suite.default_config?.soak_window) || 5;
+      config.soak_window = Math.min(window, config.soak_duration / 4);
+    }
+    config.param_grid = this.normalizeParameterGrid(config.param_grid ?? suite.default_config?.param_grid);
+    config.slo = sloChecker.normalize(config.slo) ?? sloChecker.normalize(suite.slo ?? suite.default_config?.slo);
+    config.thermal_temp_threshold = parseFloat(config.thermal_temp_threshold ?? suite.default_config?.thermal_temp_threshold) || 90;
+    config.thermal_speed_drop = parseFloat(config.thermal_speed_drop ?? suite.default_config?.thermal_speed_drop) || 0.15;
+    config.stall_threshold = parseFloat(config.stall_threshold ?? suite.default_config?.stall_threshold) || 250;
+    config.cooldown_temp = parseFloat(config.cooldown_temp ?? suite.default_config?.cooldown_temp) || null;
+    if (config.cooldown_temp) {
+      config.cooldown_timeout = parseInt(config.cooldown_timeout ?? suite.default_config?.cooldown_timeout) || 300;
+    }
+
+    const controller = new AbortController();
+    this.runControllers.set(runId, controller);
+    const { signal } = controller;
+
     const runTask = async () => {
+      // Highest CPU clock seen during the run, the reference for throttling detection
+      const thermalState = { baselineSpeed: null };
       try {
-        // Collect hardware info
-        const hardwareInfo = await this.getHardwareInfo();
+        let run;
+        const completedPairs = new Set();
+        const pairKey = (modelId, scenarioName) => `${modelId}::${scenarioName}`;
+
+        if (options.resumeRunId) {
+          run = storage.getBenchmarkRun(runId);
+          for (const result of storage.getBenchmarkResults(runId)) {
+            completedPairs.add(pairKey(result.model_id, result.scenario));
+          }
 
-        // Save benchmark run
-        const run = {
-          id: runId,
-          suite_name: suiteName,
-          model_ids: modelIds,
-          config,
-          hardware_info: hardwareInfo,
-          status: 'running',
-          started_at: Date.now()
-        };
-        
-        storage.saveBenchmarkRun(run);
+          storage.updateBenchmarkRun(runId, {
+            status: 'running',
+            completed_at: null
+          });
+          storage.saveLog('benchmark', runId, 'info',
+            `Benchmark resumed with ${completedPairs.size} result(s) already saved`
+          );
+        } else {
+          // Collect hardware info
+          const hardwareInfo = await this.getHardwareInfo();
+
+          // Save benchmark run (with the suite as run, so it can be resumed)
+          run = {
+            id: runId,
+            suite_name: suiteName,
+            suite,
+            model_ids: modelIds,
+            config,
+            hardware_info: hardwareInfo,
+            status: 'running',
+            started_at: Date.now()
+          };
+          
+          storage.saveBenchmarkRun(run);
+        }
 
         const allResults = [];
-        const totalTasks = modelIds.length * (suite.scenarios?.length || 0);
+        // Context sweeps run as one scenario per input length, and every scenario once per grid combination
+        let scenarios = this.expandParameterGrid(contextSweep.expand(suite.scenarios || []), config.param_grid);
+
+        // A soak replaces the model × scenario pairs with one soak per model over the whole mix
+        // (cold-start and load-test scenarios control their own pacing and are left out)
+        if (config.soak_duration) {
+          const mix = scenarios.filter(s => s.type !== 'cold_start' && s.type !== 'load_test');
+          if (mix.length < scenarios.length) {
+            benchmarkLogger.warn('Cold-start and load-test scenarios are not part of a soak', {
+              skipped: scenarios.filter(s => !mix.includes(s)).map(s => s.name)
+            });
+          }
+          if (mix.length === 0) {
+            throw new Error('A soak needs at least one regular scenario');
+          }
+          scenarios = [{ name: `Soak ${config.soak_duration} min`, type: 'soak', mix }];
+        }
+
+        const tasks = this.planExecution(modelIds, scenarios, config)
+          .filter(({ modelId, scenario }) => !completedPairs.has(pairKey(modelId, scenario.name)));
+        const totalTasks = tasks.length;
         let completedTasks = 0;
 
         // Helper to ensure model is loaded and healthy
@@ -491,113 +1806,156 @@ class BenchmarkEngine {
           }
         };
 
-        // Run benchmarks for each model
-        for (const modelId of modelIds) {
-          const modelIndex = modelIds.indexOf(modelId) + 1;
-          benchmarkLogger.info('Benchmarking model', {
-            modelId,
-            modelNumber: modelIndex,
-            totalModels: modelIds.length
-          });
+        benchmarkLogger.info('Execution order', {
+          order: config.execution_order,
+          seed: config.execution_seed,
+          tasks: totalTasks
+        });
 
-          // Get model from storage to get alias
-          const model = storage.getModel(modelId);
-          if (!model) {
-            benchmarkLogger.error('Model not found in storage', { modelId });
-            storage.saveLog('benchmark', runId, 'error',
-              `Model ${modelId} not found in storage`
-            );
-            continue;
-          }
+        // Run the pairs in the planned order; a model is (re)loaded whenever the next pair switches
+        // to it, since interleaved orders move back and forth between models
+        const remainingTasks = new Map();
+        for (const { modelId } of tasks) {
+          remainingTasks.set(modelId, (remainingTasks.get(modelId) || 0) + 1);
+        }
+        const skippedModels = new Set();
+        let currentModelId = null;
+        let modelInfo = null;
 
-          const modelInfo = await ensureModelReady(modelId, model);
-          if (!modelInfo) {
-            benchmarkLogger.error('Model not ready, skipping', { modelId, alias: model.alias });
-            continue;
-          }
+        for (const [taskIndex, { modelId, scenario }] of tasks.entries()) {
+          if (signal.aborted) break;
+          if (skippedModels.has(modelId)) continue;
 
-          benchmarkLogger.info('Model ready', {
-            modelId,
-            alias: modelInfo.alias,
-            endpoint: orchestrator.getEndpoint()
-          });
+          if (modelId !== currentModelId) {
+            currentModelId = null;
+            benchmarkLogger.info('Benchmarking model', {
+              modelId,
+              modelNumber: modelIds.indexOf(modelId) + 1,
+              totalModels: modelIds.length
+            });
 
-          // Run each scenario in the suite
-          for (const scenario of suite.scenarios) {
-            const scenarioIndex = suite.scenarios.indexOf(scenario) + 1;
-            benchmarkLogger.info('Starting scenario', {
-              scenario: scenario.name,
-              scenarioNumber: scenarioIndex,
-              totalScenarios: suite.scenarios.length,
+            // Get model from storage to get alias
+            const model = storage.getModel(modelId);
+            if (!model) {
+              benchmarkLogger.error('Model not found in storage', { modelId });
+              storage.saveLog('benchmark', runId, 'error',
+                `Model ${modelId} not found in storage`
+              );
+              skippedModels.add(modelId);
+              continue;
+            }
+
+            modelInfo = await ensureModelReady(modelId, model);
+            if (!modelInfo) {
+              benchmarkLogger.error('Model not ready, skipping', { modelId, alias: model.alias });
+              skippedModels.add(modelId);
+              continue;
+            }
+
+            benchmarkLogger.info('Model ready', {
               modelId,
-              modelAlias: modelInfo.alias
+              alias: modelInfo.alias,
+              endpoint: orchestrator.getEndpoint()
             });
+            currentModelId = modelId;
+          }
 
-            try {
-              const result = await this.runScenario(
+          benchmarkLogger.info('Starting scenario', {
+            scenario: scenario.name,
+            scenarioNumber: scenarios.indexOf(scenario) + 1,
+            totalScenarios: scenarios.length,
+            task: `${taskIndex + 1}/${totalTasks}`,
+            modelId,
+            modelAlias: modelInfo.alias
+          });
+
+          try {
+            let result;
+            if (scenario.type === 'soak') {
+              result = await this.runSoak(modelId, scenario, config, progressCallback, signal);
+            } else if (scenario.type === 'load_test') {
+              result = await this.runLoadTest(modelId, scenario, config, progressCallback, signal);
+            } else {
+              result = await this.runScenario(
                 modelId,
-                scenario,
+                { ...scenario, rubric: scenario.rubric ?? suite.judge?.rubric },
                 config,
-                progressCallback
+                progressCallback,
+                signal,
+                thermalState
               );
+            }
 
-              // Save result
-              const resultRecord = {
-                id: uuidv4(),
-                run_id: runId,
-                model_id: modelId,
-                scenario: scenario.name,
-                ...result.aggregated,
-                raw_data: result.raw
-              };
-
-              storage.saveBenchmarkResult(resultRecord);
-              allResults.push(resultRecord);
-
-              benchmarkLogger.info('Scenario saved', {
-                scenario: scenario.name,
-                resultId: resultRecord.id
-              });
-
-            } catch (error) {
-              benchmarkLogger.error('Scenario failed', {
-                modelId,
-                scenario: scenario.name,
-                error: error.message
-              });
+            // Save result
+            const resultRecord = {
+              id: uuidv4(),
+              run_id: runId,
+              model_id: modelId,
+              scenario: scenario.name,
+              sweep: scenario.sweep ?? null,
+              context_length: scenario.context_length ?? null,
+              params: scenario.params ?? null,
+              ...result.aggregated,
+              raw_data: result.raw
+            };
 
-              storage.saveLog('benchmark', runId, 'error',
-                `Scenario ${scenario.name} failed for ${modelId}: ${error.message}`
-              );
-            } finally {
-              completedTasks += 1;
-              updateProgress();
-            }
+            storage.saveBenchmarkResult(resultRecord);
+            allResults.push(resultRecord);
+
+            benchmarkLogger.info('Scenario saved', {
+              scenario: scenario.name,
+              resultId: resultRecord.id
+            });
+
+          } catch (error) {
+            if (signal.aborted) break;
+
+            benchmarkLogger.error('Scenario failed', {
+              modelId,
+              scenario: scenario.name,
+              error: error.message
+            });
+
+            storage.saveLog('benchmark', runId, 'error',
+              `Scenario ${scenario.name} failed for ${modelId}: ${error.message}`
+            );
+          } finally {
+            completedTasks += 1;
+            updateProgress();
           }
 
-          benchmarkLogger.info('Model benchmarking completed', {
-            modelId,
-            modelAlias: modelInfo.alias,
-            completedScenarios: suite.scenarios.length
-          });
+          remainingTasks.set(modelId, remainingTasks.get(modelId) - 1);
+          if (remainingTasks.get(modelId) === 0) {
+            benchmarkLogger.info('Model benchmarking completed', {
+              modelId,
+              modelAlias: modelInfo.alias
+            });
+          }
         }
 
-        // Update run as completed
+        // Update run as completed (or cancelled, keeping the results saved so far)
         const completedAt = Date.now();
         const duration = completedAt - run.started_at;
+        const status = signal.aborted ? 'cancelled' : 'completed';
 
         storage.updateBenchmarkRun(runId, {
-          status: 'completed',
+          status,
           completed_at: completedAt
         });
 
         this.runningBenchmarks.set(runId, {
           id: runId,
-          status: 'completed',
-          progress: 100
+          status,
+          progress: signal.aborted ? this.runningBenchmarks.get(runId)?.progress ?? 0 : 100
         });
 
-        benchmarkLogger.info('Benchmark run completed', {
+        if (signal.aborted) {
+          storage.saveLog('benchmark', runId, 'info',
+            `Benchmark cancelled after ${allResults.length} result(s)`
+          );
+        }
+
+        benchmarkLogger.info(signal.aborted ? 'Benchmark run cancelled' : 'Benchmark run completed', {
           runId,
           duration: `${(duration / 1000).toFixed(2)}s`,
           totalModels: modelIds.length,
@@ -628,6 +1986,8 @@ class BenchmarkEngine {
         });
 
         throw error;
+      } finally {
+        this.runControllers.delete(runId);
       }
     };
 
@@ -646,6 +2006,41 @@ class BenchmarkEngine {
   getBenchmarkStatus(runId) {
     return this.runningBenchmarks.get(runId);
   }
+
+  /**
+   * Cancel a running benchmark: aborts in-flight requests and skips remaining work
+   * @returns {boolean} false if the run is not currently running
+   */
+  cancelBenchmark(runId) {
+    const controller = this.runControllers.get(runId);
+    if (!controller) {
+      return false;
+    }
+
+    logger.info('Cancelling benchmark run', { runId });
+    controller.abort();
+    return true;
+  }
+
+  /**
+   * Mark runs left as `running` by a previous server process (crash, SIGINT) as `interrupted`
+   * @returns {string[]} IDs of the reconciled runs
+   */
+  reconcileInterruptedRuns() {
+    const interrupted = storage.getAllBenchmarkRuns()
+      .filter(run => run.status === 'running' && !this.runControllers.has(run.id));
+
+    for (const run of interrupted) {
+      storage.updateBenchmarkRun(run.id, { status: 'interrupted' });
+      storage.saveLog('benchmark', run.id, 'warn', 'Run was interrupted by a server restart');
+    }
+
+    if (interrupted.length > 0) {
+      logger.warn('Marked interrupted benchmark runs', { runIds: interrupted.map(run => run.id) });
+    }
+
+    return interrupted.map(run => run.id);
+  }
 }
 
 export default new BenchmarkEngine();
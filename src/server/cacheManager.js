@@ -1,9 +1,11 @@
-import { exec } from 'child_process';
+import { exec, execFile } from 'child_process';
 import { promisify } from 'util';
+import fs from 'fs/promises';
 import path from 'path';
 import logger from './logger.js';
 
 const execPromise = promisify(exec);
+const execFilePromise = promisify(execFile);
 
 class CacheManager {
   constructor() {
@@ -163,6 +165,73 @@ class CacheManager {
       return false;
     }
   }
+
+  /**
+   * Find the files of a cached model: every file under the cache directories whose name
+   * matches the model ID (without its ":version" suffix)
+   */
+  async findModelFiles(modelId) {
+    const root = await this.getCurrentLocation();
+    const name = modelId.split(':')[0].toLowerCase();
+
+    const listFiles = async (dir) => {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      const nested = await Promise.all(entries.map(entry => {
+        const entryPath = path.join(dir, entry.name);
+        return entry.isDirectory() ? listFiles(entryPath) : [entryPath];
+      }));
+      return nested.flat();
+    };
+
+    const findDirectories = async (dir, depth) => {
+      const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+      const directories = entries.filter(entry => entry.isDirectory());
+      const matches = directories
+        .filter(entry => entry.name.toLowerCase().startsWith(name))
+        .map(entry => path.join(dir, entry.name));
+      if (matches.length > 0 || depth === 0) return matches;
+      const nested = await Promise.all(directories.map(entry => findDirectories(path.join(dir, entry.name), depth - 1)));
+      return nested.flat();
+    };
+
+    const directories = await findDirectories(root, 3);
+    const files = await Promise.all(directories.map(listFiles));
+    return files.flat();
+  }
+
+  /**
+   * Evict a model's files from the OS page cache, so the next load reads them from disk
+   * Linux: drops each file's cached pages (`dd iflag=nocache`, no root needed); macOS: `purge` (needs root);
+   * Windows: not supported
+   * @returns {Object} { evicted, method, files, error }
+   */
+  async evictFromPageCache(modelId) {
+    try {
+      if (process.platform === 'linux') {
+        const files = await this.findModelFiles(modelId);
+        if (files.length === 0) {
+          return { evicted: false, method: null, files: 0, error: `No cached files found for ${modelId}` };
+        }
+        for (const file of files) {
+          // No shell: the path is passed as-is, whatever characters it contains
+          await execFilePromise('dd', [`if=${file}`, 'iflag=nocache', 'count=0', 'status=none']);
+        }
+        logger.info('Model evicted from page cache', { modelId, files: files.length });
+        return { evicted: true, method: 'fadvise', files: files.length, error: null };
+      }
+
+      if (process.platform === 'darwin') {
+        await execPromise('purge');
+        logger.info('Page cache purged', { modelId });
+        return { evicted: true, method: 'purge', files: null, error: null };
+      }
+
+      return { evicted: false, method: null, files: null, error: `Not supported on ${process.platform}` };
+    } catch (error) {
+      logger.warn('Failed to evict model from page cache', { modelId, error: error.message });
+      return { evicted: false, method: null, files: null, error: error.message };
+    }
+  }
 }
 
 export default new CacheManager();
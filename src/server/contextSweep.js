@@ -0,0 +1,121 @@
+import datasets from './datasets.js';
+import tokenizer from './tokenizer.js';
+import { createSeededRandom } from './random.js';
+
+const DEFAULT_LENGTHS = [128, 256, 512, 1024, 2048, 4096, 8192];
+const DEFAULT_QUESTION = 'Summarize the text above in one sentence.';
+
+// Filler vocabulary for synthetic padding (ordinary English words, roughly one token each)
+const FILLER_WORDS = [
+  'the', 'report', 'team', 'system', 'market', 'river', 'city', 'project', 'window', 'morning',
+  'data', 'engine', 'garden', 'letter', 'meeting', 'policy', 'signal', 'station', 'story', 'table',
+  'quickly', 'often', 'after', 'before', 'during', 'under', 'across', 'between', 'around', 'through',
+  'builds', 'checks', 'moves', 'opens', 'shares', 'starts', 'writes', 'reads', 'finds', 'keeps',
+  'small', 'large', 'early', 'late', 'quiet', 'bright', 'simple', 'recent', 'local', 'final'
+];
+
+/**
+ * Context-length sweeps: one `type: "context_sweep"` scenario expands into a sub-scenario per
+ * input length, each sent a prompt padded to that many tokens, so TTFT, prefill throughput and
+ * TPOT can be plotted against context length
+ *
+ * Scenario format:
+ * {
+ *   "name": "Context sweep",
+ *   "type": "context_sweep",
+ *   "context_lengths": [128, 512, 2048, 8192],            // or "context_range": { "min": 128, "max": 8192, "factor": 2 | "step": 1024 }
+ *   "padding": { "path": "benchmarks/datasets/sample-prompts.jsonl" },  // optional, synthetic filler by default
+ *   "prompt": "Summarize the text above in one sentence.", // question appended after the padding
+ *   "max_tokens": 64
+ * }
+ */
+class ContextSweep {
+  /**
+   * Input lengths (prompt tokens) of a sweep scenario, ascending
+   */
+  getLengths(scenario) {
+    let lengths = DEFAULT_LENGTHS;
+    if (Array.isArray(scenario.context_lengths) && scenario.context_lengths.length > 0) {
+      lengths = scenario.context_lengths;
+    } else if (scenario.context_range) {
+      const { min = 128, max = 8192, factor, step } = scenario.context_range;
+      if (!(min > 0)) {
+        throw new Error(`Scenario ${scenario.name} context_range min must be a positive number of tokens`);
+      }
+      if (step !== undefined && !(step > 0)) {
+        throw new Error(`Scenario ${scenario.name} context_range step must be positive`);
+      }
+      if (step === undefined && factor !== undefined && !(factor > 1)) {
+        throw new Error(`Scenario ${scenario.name} context_range factor must be greater than 1`);
+      }
+      lengths = [];
+      for (let length = min; length <= max && lengths.length < 100; length = step ? length + step : length * (factor || 2)) {
+        lengths.push(length);
+      }
+    }
+
+    const valid = lengths.map(l => parseInt(l)).filter(l => l > 0);
+    if (valid.length === 0) {
+      throw new Error(`Scenario ${scenario.name} has no valid context lengths`);
+    }
+    return [...new Set(valid)].sort((a, b) => a - b);
+  }
+
+  /**
+   * Replace every sweep scenario with one scenario per context length (`<name> @ <length>`);
+   * other scenarios are returned unchanged
+   */
+  expand(scenarios) {
+    return scenarios.flatMap(scenario => {
+      if (scenario.type !== 'context_sweep') {
+        return [scenario];
+      }
+      return this.getLengths(scenario).map(length => ({
+        ...scenario,
+        name: `${scenario.name} @ ${length}`,
+        sweep: scenario.name,
+        context_length: length
+      }));
+    });
+  }
+
+  /**
+   * Padding text: dataset prompts joined in order, or deterministic synthetic filler
+   */
+  getPaddingText(scenario, words) {
+    if (scenario.padding?.path) {
+      const rows = datasets.load(scenario.padding);
+      const text = rows.map(row => row.prompt || (row.messages || []).map(m => m.content).join('\n')).join('\n\n');
+      // Repeat the dataset until it is long enough
+      return text.repeat(Math.max(1, Math.ceil(words * 8 / text.length)));
+    }
+
+    const random = createSeededRandom(scenario.padding?.seed ?? scenario.name);
+    const filler = [];
+    for (let i = 0; i < words; i++) {
+      filler.push(FILLER_WORDS[Math.floor(random() * FILLER_WORDS.length)]);
+      if (i % 12 === 11) filler[filler.length - 1] += '.';
+    }
+    return filler.join(' ');
+  }
+
+  /**
+   * Build the prompt of a sweep point: padding truncated so padding plus question is
+   * `scenario.context_length` tokens in the model's tokenizer (chat template tokens not included)
+   * @returns {Object} { prompt, messages: undefined }
+   */
+  async buildPrompt(modelName, scenario) {
+    const question = scenario.prompt || DEFAULT_QUESTION;
+    const questionTokens = (await tokenizer.countTokens(modelName, `\n\n${question}`))?.tokens ?? 0;
+    const paddingTokens = Math.max(0, scenario.context_length - questionTokens);
+
+    // Twice as many words as tokens is always enough: filler words are at most two tokens each
+    const padding = await tokenizer.truncateToTokens(modelName, this.getPaddingText(scenario, paddingTokens * 2), paddingTokens);
+    return {
+      prompt: padding ? `${padding}\n\n${question}` : question,
+      messages: undefined
+    };
+  }
+}
+
+export default new ContextSweep();
@@ -0,0 +1,208 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+import { createSeededRandom, shuffle } from './random.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const rootDir = path.join(__dirname, '../..');
+
+/**
+ * Loads local prompt datasets (JSONL or CSV) referenced by suite scenarios
+ * and draws one prompt per iteration from them
+ *
+ * Scenario format:
+ *   "dataset": {
+ *     "path": "benchmarks/datasets/sample-prompts.jsonl",
+ *     "sampling": "sequential" | "random" | "stratified",
+ *     "seed": 42,
+ *     "prompt_field": "prompt",
+ *     "length_field": "length",
+ *     "strata": 4
+ *   }
+ */
+class DatasetManager {
+  constructor() {
+    this.cache = new Map(); // resolved path -> { mtimeMs, rows }
+  }
+
+  /**
+   * Resolve a dataset path (relative paths are relative to the repository root)
+   */
+  resolvePath(datasetPath) {
+    return path.isAbsolute(datasetPath) ? datasetPath : path.join(rootDir, datasetPath);
+  }
+
+  /**
+   * Load dataset rows; each row has a `prompt` or `messages` plus its original fields
+   * @param {Object} dataset - Scenario dataset definition
+   */
+  load(dataset) {
+    if (!dataset?.path) {
+      throw new Error('Dataset path is required');
+    }
+
+    const filePath = this.resolvePath(dataset.path);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Dataset ${dataset.path} not found`);
+    }
+
+    const { mtimeMs } = fs.statSync(filePath);
+    const cached = this.cache.get(filePath);
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return cached.rows;
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    const records = filePath.toLowerCase().endsWith('.csv')
+      ? this.parseCsv(content)
+      : this.parseJsonl(content);
+
+    const promptField = dataset.prompt_field || 'prompt';
+    const rows = records.map((record, index) => {
+      const row = typeof record === 'string' ? { prompt: record } : { ...record };
+      if (record[promptField] !== undefined) {
+        row.prompt = String(record[promptField]);
+      }
+      if (!row.prompt && !Array.isArray(row.messages)) {
+        throw new Error(`Dataset ${dataset.path} row ${index + 1} has no "${promptField}" or messages`);
+      }
+      return row;
+    });
+
+    if (rows.length === 0) {
+      throw new Error(`Dataset ${dataset.path} is empty`);
+    }
+
+    this.cache.set(filePath, { mtimeMs, rows });
+    logger.info('Dataset loaded', { path: dataset.path, rows: rows.length });
+    return rows;
+  }
+
+  /**
+   * Parse JSON Lines: one JSON object (or string prompt) per line, blank lines ignored
+   */
+  parseJsonl(content) {
+    return content
+      .split(/\r?\n/)
+      .map((line, index) => ({ line: line.trim(), index }))
+      .filter(({ line }) => line.length > 0)
+      .map(({ line, index }) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          throw new Error(`Invalid JSON on line ${index + 1}: ${error.message}`);
+        }
+      });
+  }
+
+  /**
+   * Parse CSV with a header row (quoted fields may contain commas, quotes and newlines)
+   */
+  parseCsv(content) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (inQuotes) {
+        if (char === '"' && content[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') i++;
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field.length > 0 || record.length > 0) {
+      record.push(field);
+      records.push(record);
+    }
+
+    const [headers, ...rows] = records.filter(r => r.some(value => value.trim().length > 0));
+    if (!headers) return [];
+
+    return rows.map(values => Object.fromEntries(
+      headers.map((header, idx) => [header.trim(), values[idx] ?? ''])
+    ));
+  }
+
+  /**
+   * Create a sampler returning the dataset row for a draw index
+   * Draws are deterministic for a given seed, so they do not depend on concurrency
+   * @returns {Function} (drawIndex) => { index, row }
+   */
+  createSampler(dataset) {
+    const rows = this.load(dataset);
+    const sampling = dataset.sampling || 'sequential';
+    const random = createSeededRandom(dataset.seed ?? 0);
+    const draws = [];
+
+    let nextDraw;
+    if (sampling === 'sequential') {
+      nextDraw = () => draws.length % rows.length;
+    } else if (sampling === 'random') {
+      nextDraw = () => Math.floor(random() * rows.length);
+    } else if (sampling === 'stratified') {
+      const strata = this.buildStrata(rows, dataset, random);
+      nextDraw = () => {
+        const stratum = strata[draws.length % strata.length];
+        return stratum[Math.floor(random() * stratum.length)];
+      };
+    } else {
+      throw new Error(`Unknown dataset sampling "${sampling}"`);
+    }
+
+    return (drawIndex) => {
+      while (draws.length <= drawIndex) {
+        draws.push(nextDraw());
+      }
+      const index = draws[drawIndex];
+      return { index, row: rows[index] };
+    };
+  }
+
+  /**
+   * Split row indices into equal-size strata ordered by length
+   * (the `length_field` column, or the prompt length in characters)
+   */
+  buildStrata(rows, dataset, random) {
+    const lengthOf = (row) => {
+      const value = dataset.length_field ? parseFloat(row[dataset.length_field]) : NaN;
+      if (!Number.isNaN(value)) return value;
+      return row.prompt ? row.prompt.length : JSON.stringify(row.messages).length;
+    };
+
+    // Shuffle first so rows of equal length are spread across strata
+    const ordered = shuffle(rows.map((row, index) => index), random)
+      .sort((a, b) => lengthOf(rows[a]) - lengthOf(rows[b]));
+
+    const count = Math.max(1, Math.min(parseInt(dataset.strata) || 4, ordered.length));
+    return Array.from({ length: count }, (_, s) =>
+      ordered.slice(Math.floor((s * ordered.length) / count), Math.floor(((s + 1) * ordered.length) / count))
+    );
+  }
+}
+
+export default new DatasetManager();
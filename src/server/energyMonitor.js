@@ -0,0 +1,138 @@
+import fs from 'fs';
+import path from 'path';
+import { performance } from 'perf_hooks';
+import si from 'systeminformation';
+import logger from './logger.js';
+
+const POWERCAP_ROOT = '/sys/class/powercap';
+
+/**
+ * Energy counters read around the timed iterations of a scenario:
+ * - RAPL via Linux powercap (package domains, CPU + integrated GPU; reading energy_uj may require root)
+ * - Battery discharge via systeminformation (coarse: the capacity only moves in mWh steps)
+ */
+class EnergyMonitor {
+  constructor() {
+    this.root = POWERCAP_ROOT;
+    this.warned = false;
+  }
+
+  /**
+   * Top-level RAPL zones (intel-rapl:0, intel-rapl:1, ...); subzones like intel-rapl:0:0 are
+   * already included in their package and would be counted twice
+   */
+  listRaplZones() {
+    try {
+      return fs.readdirSync(this.root)
+        .filter(name => /^intel-rapl:\d+$/.test(name))
+        .map(name => path.join(this.root, name));
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Read the RAPL counters
+   * @returns {Object|null} { zone: { energy_uj, max_energy_uj } }, null if there are none or they are unreadable
+   */
+  readRapl() {
+    const zones = this.listRaplZones();
+    if (zones.length === 0) {
+      return null;
+    }
+
+    try {
+      return Object.fromEntries(zones.map(zone => [path.basename(zone), {
+        energy_uj: parseInt(fs.readFileSync(path.join(zone, 'energy_uj'), 'utf8')),
+        max_energy_uj: parseInt(fs.readFileSync(path.join(zone, 'max_energy_range_uj'), 'utf8'))
+      }]));
+    } catch (error) {
+      if (!this.warned) {
+        logger.warn('RAPL energy counters are not readable', { error: error.message });
+        this.warned = true;
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Read the battery charge in mWh
+   * @returns {Object|null} { capacity_mwh, discharging }, null without a battery
+   */
+  async readBattery() {
+    try {
+      const battery = await si.battery();
+      if (!battery.hasBattery || !battery.currentCapacity) {
+        return null;
+      }
+
+      // macOS reports mAh; convert with the battery voltage
+      const capacity_mwh = battery.capacityUnit === 'mAh'
+        ? (battery.voltage ? battery.currentCapacity * battery.voltage : null)
+        : battery.capacityUnit === 'Wh' ? battery.currentCapacity * 1000 : battery.currentCapacity;
+      if (capacity_mwh === null) {
+        return null;
+      }
+
+      return {
+        capacity_mwh,
+        discharging: !battery.isCharging && !battery.acConnected
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Snapshot of every available energy counter
+   */
+  async snapshot() {
+    return {
+      time: performance.now(),
+      rapl: this.readRapl(),
+      battery: await this.readBattery()
+    };
+  }
+
+  /**
+   * Energy used between two snapshots: RAPL when both snapshots have it, otherwise the battery
+   * discharge if the device stayed on battery and the charge dropped
+   * @returns {Object|null} { joules, watts, source: 'rapl' | 'battery' }, null if unavailable
+   */
+  measure(before, after) {
+    if (!before || !after) {
+      return null;
+    }
+    const seconds = (after.time - before.time) / 1000;
+
+    let joules = null;
+    let source = null;
+    if (before.rapl && after.rapl) {
+      // Counters wrap around at max_energy_range_uj
+      joules = Object.entries(after.rapl).reduce((sum, [zone, counter]) => {
+        const start = before.rapl[zone]?.energy_uj;
+        if (start === undefined) return sum;
+        const delta = counter.energy_uj >= start
+          ? counter.energy_uj - start
+          : counter.energy_uj + counter.max_energy_uj - start;
+        return sum + delta / 1e6;
+      }, 0);
+      source = 'rapl';
+    } else if (before.battery?.discharging && after.battery?.discharging &&
+               after.battery.capacity_mwh < before.battery.capacity_mwh) {
+      joules = (before.battery.capacity_mwh - after.battery.capacity_mwh) * 3.6; // 1 mWh = 3.6 J
+      source = 'battery';
+    }
+
+    if (joules === null) {
+      return null;
+    }
+    return {
+      joules,
+      watts: seconds > 0 ? joules / seconds : null,
+      source
+    };
+  }
+}
+
+export default new EnergyMonitor();
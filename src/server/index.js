@@ -6,14 +6,29 @@ import { fileURLToPath } from 'url';
 import logger from './logger.js';
 import storage from './storage.js';
 import orchestrator from './orchestrator.js';
-import benchmark from './benchmark.js';
+import benchmark, { EXECUTION_ORDERS } from './benchmark.js';
+import runQueue from './runQueue.js';
 import cacheManager from './cacheManager.js';
+import sloChecker from './slo.js';
+import contextSweep from './contextSweep.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+const suitesDir = path.join(__dirname, '../../benchmarks/suites');
+
+/**
+ * Read a benchmark suite definition by name (null if it does not exist)
+ */
+const readSuite = (suiteName) => {
+  const suitePath = path.join(suitesDir, `${suiteName}.json`);
+  if (!fs.existsSync(suitePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(suitePath, 'utf8'));
+};
 
 // Middleware
 app.use(cors());
@@ -26,7 +41,8 @@ app.use((req, res, next) => {
     '/api/models',
     '/api/benchmarks/runs',
     '/api/models/loaded',
-    '/api/benchmarks/runs/'
+    '/api/benchmarks/runs/',
+    '/api/benchmarks/queue'
   ];
 
   const shouldSkipLog = skipPaths.some(path =>
@@ -362,7 +378,6 @@ app.get('/api/models/:id/logs', async (req, res) => {
  */
 app.get('/api/benchmarks/suites', async (req, res) => {
   try {
-    const suitesDir = path.join(__dirname, '../../benchmarks/suites');
     const files = fs.readdirSync(suitesDir).filter(f => f.endsWith('.json'));
     
     const suites = files.map(file => {
@@ -397,12 +412,19 @@ app.post('/api/benchmarks/run', async (req, res) => {
     }
 
     // Load suite
-    const suitePath = path.join(__dirname, '../../benchmarks/suites', `${suiteName}.json`);
-    if (!fs.existsSync(suitePath)) {
+    const suite = readSuite(suiteName);
+    if (!suite) {
       return res.status(404).json({ error: 'Suite not found' });
     }
-    
-    const suite = JSON.parse(fs.readFileSync(suitePath, 'utf8'));
+
+    // The judge must be a loaded model (it scores outputs through the same service)
+    if (config?.judge_model_id && !orchestrator.getLoadedModelInfo(config.judge_model_id)) {
+      return res.status(400).json({ error: `Judge model ${config.judge_model_id} is not loaded` });
+    }
+
+    if (config?.execution_order && !EXECUTION_ORDERS.includes(config.execution_order)) {
+      return res.status(400).json({ error: `execution_order must be one of: ${EXECUTION_ORDERS.join(', ')}` });
+    }
 
     // Filter scenarios if selectedScenarios is provided
     if (selectedScenarios && Array.isArray(selectedScenarios) && selectedScenarios.length > 0) {
@@ -413,22 +435,29 @@ app.post('/api/benchmarks/run', async (req, res) => {
       });
     }
 
-    // Start benchmark (async) and return runId immediately
-    const { runId } = await benchmark.runBenchmark(
-      modelIds, 
-      suiteName, 
-      suite, 
-      config || {}, 
-      (progress) => {
-        logger.info('Benchmark progress', progress);
-      },
-      { returnImmediately: true }
-    );
+    try {
+      benchmark.normalizeParameterGrid(config?.param_grid);
+      sloChecker.normalize(config?.slo);
+      contextSweep.expand(suite.scenarios);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Queue benchmark (runs start one at a time) and return runId immediately
+    const entry = runQueue.enqueue({
+      modelIds,
+      suiteName,
+      suite,
+      config: config || {}
+    });
 
     res.json({ 
       success: true,
-      runId,
-      message: `Benchmark started with ${suite.scenarios.length} scenario(s)`
+      runId: entry.id,
+      position: entry.position,
+      message: entry.position
+        ? `Benchmark queued at position ${entry.position} with ${suite.scenarios.length} scenario(s)`
+        : `Benchmark started with ${suite.scenarios.length} scenario(s)`
     });
   } catch (error) {
     logger.error('Failed to start benchmark', { error: error.message });
@@ -516,12 +545,14 @@ app.get('/api/benchmarks/runs/:id', async (req, res) => {
 app.get('/api/benchmarks/runs/:id/status', async (req, res) => {
   try {
     const { id } = req.params;
+    const position = runQueue.getPosition(id);
     const status = benchmark.getBenchmarkStatus(id);
     const run = storage.getBenchmarkRun(id);
 
     res.json({
-      status: status?.status || run?.status || 'unknown',
+      status: position ? 'queued' : status?.status || run?.status || 'unknown',
       progress: status?.progress ?? null,
+      position,
       run
     });
   } catch (error) {
@@ -530,6 +561,144 @@ app.get('/api/benchmarks/runs/:id/status', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/benchmarks/queue
+ * List the active run and the runs waiting in the queue
+ */
+app.get('/api/benchmarks/queue', async (req, res) => {
+  try {
+    const { active, queue } = runQueue.list();
+
+    // Enrich entries with model aliases for better UX
+    const withAliases = (entry) => entry && {
+      ...entry,
+      model_aliases: entry.model_ids.map(modelId => storage.getModel(modelId)?.alias || modelId)
+    };
+
+    res.json({
+      active: withAliases(active),
+      queue: queue.map(withAliases)
+    });
+  } catch (error) {
+    logger.error('Failed to get benchmark queue', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/benchmarks/queue/:id/move
+ * Move a waiting run to a new position
+ * Body: { position: 1 }
+ */
+app.post('/api/benchmarks/queue/:id/move', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const position = parseInt(req.body.position);
+
+    if (!Number.isInteger(position) || position < 1) {
+      return res.status(400).json({ error: 'position must be a positive integer' });
+    }
+
+    if (!runQueue.move(id, position)) {
+      return res.status(404).json({ error: 'Run not found in queue' });
+    }
+
+    res.json({ success: true, ...runQueue.list() });
+  } catch (error) {
+    logger.error('Failed to move queued benchmark', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/benchmarks/queue/:id
+ * Remove a waiting run from the queue
+ */
+app.delete('/api/benchmarks/queue/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!runQueue.remove(id)) {
+      return res.status(404).json({ error: 'Run not found in queue' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Failed to remove queued benchmark', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/benchmarks/runs/:id/cancel
+ * Cancel a running benchmark (results saved so far are kept)
+ */
+app.post('/api/benchmarks/runs/:id/cancel', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // A run still waiting in the queue is simply removed from it
+    if (runQueue.remove(id)) {
+      return res.json({ success: true, runId: id, dequeued: true });
+    }
+
+    const status = benchmark.getBenchmarkStatus(id);
+    const run = storage.getBenchmarkRun(id);
+
+    if (!status && !run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+
+    if (!benchmark.cancelBenchmark(id)) {
+      return res.status(409).json({ error: `Run is not running (status: ${status?.status || run?.status})` });
+    }
+
+    logger.info('Benchmark cancellation requested', { runId: id });
+    res.json({ success: true, runId: id });
+  } catch (error) {
+    logger.error('Failed to cancel benchmark', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/benchmarks/runs/:id/resume
+ * Resume an interrupted, cancelled or failed run (only pairs without results are re-executed)
+ */
+app.post('/api/benchmarks/runs/:id/resume', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const run = storage.getBenchmarkRun(id);
+
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+
+    if (!['interrupted', 'cancelled', 'failed'].includes(run.status) || runQueue.has(id)) {
+      return res.status(409).json({ error: `Run cannot be resumed (status: ${run.status})` });
+    }
+
+    // Runs saved before suites were stored with the run fall back to the suite file
+    const suite = run.suite || readSuite(run.suite_name);
+    if (!suite) {
+      return res.status(404).json({ error: 'Suite not found' });
+    }
+
+    const entry = runQueue.enqueue({
+      modelIds: run.model_ids,
+      suiteName: run.suite_name,
+      suite,
+      config: run.config,
+      resumeRunId: id
+    });
+
+    res.json({ success: true, runId: id, position: entry.position });
+  } catch (error) {
+    logger.error('Failed to resume benchmark', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/benchmarks/results
  * Get all benchmark results with optional filters
@@ -751,6 +920,9 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: 'Internal server error' });
 });
 
+// Runs still marked running belong to a previous server process
+benchmark.reconcileInterruptedRuns();
+
 // Start server
 const server = app.listen(PORT, () => {
   logger.info(`FLPerformance API server running on port ${PORT}`);
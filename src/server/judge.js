@@ -0,0 +1,101 @@
+import logger from './logger.js';
+import orchestrator from './orchestrator.js';
+
+const SYSTEM_PROMPT = `You are an impartial judge evaluating the quality of an AI assistant's response.
+Score the response from 1 (very poor) to 10 (excellent) against the rubric.
+Reply with JSON only: {"score": <integer 1-10>, "rationale": "<one or two sentences>"}`;
+
+/**
+ * LLM-as-judge quality scoring: a loaded Foundry Local model scores candidate outputs
+ * against a rubric from the suite
+ *
+ * Suite format:
+ *   "judge": { "rubric": "Default rubric for every scenario" }
+ *   scenario "rubric": "Rubric for this scenario (overrides the suite's)"
+ */
+class Judge {
+  /**
+   * Format the conversation that produced the output
+   */
+  formatPrompt(prompt) {
+    if (Array.isArray(prompt)) {
+      return prompt.map(m => `[${m.role}] ${m.content}`).join('\n');
+    }
+    return prompt || '';
+  }
+
+  /**
+   * Build the judge request
+   */
+  buildMessages({ prompt, output, rubric }) {
+    return [
+      { role: 'system', content: SYSTEM_PROMPT },
+      {
+        role: 'user',
+        content: `Rubric:\n${rubric}\n\nPrompt:\n${this.formatPrompt(prompt)}\n\nResponse:\n${output}`
+      }
+    ];
+  }
+
+  /**
+   * Parse the judge reply: JSON first, then "score: N" / "N/10" patterns
+   * @returns {Object} { score (1-10), rationale }
+   */
+  parseVerdict(text) {
+    const json = text.match(/\{[\s\S]*\}/);
+    if (json) {
+      try {
+        const verdict = JSON.parse(json[0]);
+        const score = parseFloat(verdict.score);
+        if (!Number.isNaN(score)) {
+          return { score: Math.min(10, Math.max(1, score)), rationale: String(verdict.rationale || '').trim() };
+        }
+      } catch {
+        // Fall through to pattern matching
+      }
+    }
+
+    const match = text.match(/score\D{0,10}(\d+(?:\.\d+)?)/i) || text.match(/(\d+(?:\.\d+)?)\s*\/\s*10/);
+    if (!match) {
+      throw new Error('Judge reply has no score');
+    }
+    return {
+      score: Math.min(10, Math.max(1, parseFloat(match[1]))),
+      rationale: text.replace(match[0], '').trim()
+    };
+  }
+
+  /**
+   * Score one candidate output
+   * @param {Object} judgeInfo - Loaded model info of the judge
+   * @param {Object} candidate - prompt (string or messages), output and rubric
+   * @param {Object} options - timeout (ms) and cancellation signal
+   * @returns {Object} { score, rationale } or { score: null, error }
+   */
+  async score(judgeInfo, candidate, { timeout = 60000, signal = null } = {}) {
+    const controller = new AbortController();
+    const onCancel = () => controller.abort();
+    signal?.addEventListener('abort', onCancel, { once: true });
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const client = orchestrator.getOpenAIClient();
+      const response = await client.chat.completions.create({
+        model: judgeInfo.id,
+        messages: this.buildMessages(candidate),
+        max_tokens: 200,
+        temperature: 0
+      }, { signal: controller.signal });
+
+      return this.parseVerdict(response.choices[0]?.message?.content || '');
+    } catch (error) {
+      logger.warn('Judge scoring failed', { judge: judgeInfo.alias, error: error.message });
+      return { score: null, error: error.message };
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', onCancel);
+    }
+  }
+}
+
+export default new Judge();
@@ -0,0 +1,128 @@
+import { median } from './stats.js';
+
+const DEFAULT_RATES = [0.5, 1, 2, 4, 8];
+
+/**
+ * Open-loop load tests: requests are sent at a target arrival rate whether or not earlier ones have
+ * completed, stepping the rate up until the service saturates
+ *
+ * Scenario format:
+ * {
+ *   "name": "Load ramp",
+ *   "type": "load_test",
+ *   "arrival": "poisson",                  // or "constant"
+ *   "rates": [0.5, 1, 2, 4, 8],            // requests per second, or "rate_ramp": { "start": 0.5, "end": 8, "factor": 2 | "step": 0.5 }
+ *   "step_duration": 30,                   // seconds of arrivals per step
+ *   "max_in_flight": 32,                   // arrivals beyond this many open requests are dropped
+ *   "saturation_factor": 3,                // knee: p95 latency above this multiple of the first step's p95
+ *   "stop_at_saturation": true,
+ *   "prompt": "What is the capital of France?"
+ * }
+ */
+class LoadTest {
+  /**
+   * Target rates (requests/s) of the ramp, ascending
+   */
+  getRates(scenario) {
+    let rates = DEFAULT_RATES;
+    if (Array.isArray(scenario.rates) && scenario.rates.length > 0) {
+      rates = scenario.rates;
+    } else if (scenario.rate_ramp) {
+      const { start = 0.5, end = 8, factor, step } = scenario.rate_ramp;
+      rates = [];
+      for (let rate = start; rate <= end + 1e-9 && rates.length < 100; rate = step ? rate + step : rate * (factor || 2)) {
+        rates.push(Number(rate.toFixed(3)));
+      }
+    }
+
+    const valid = rates.map(r => parseFloat(r)).filter(r => r > 0);
+    if (valid.length === 0) {
+      throw new Error(`Scenario ${scenario.name} has no valid request rates`);
+    }
+    return [...new Set(valid)].sort((a, b) => a - b);
+  }
+
+  /**
+   * Arrival times (ms from the start of the step) for one step
+   * @param {string} arrival - 'poisson' (exponential gaps) or 'constant' (evenly spaced)
+   * @param {Function} random - Seeded generator, so Poisson arrivals are reproducible
+   */
+  arrivalOffsets(rate, durationMs, arrival, random) {
+    const offsets = [];
+    const gap = 1000 / rate;
+    let t = arrival === 'constant' ? 0 : -Math.log(1 - random()) * gap;
+    while (t < durationMs) {
+      offsets.push(t);
+      t += arrival === 'constant' ? gap : -Math.log(1 - random()) * gap;
+    }
+    return offsets;
+  }
+
+  /**
+   * Service time of a request: TTFT when streaming, otherwise the full latency
+   */
+  serviceTime(metrics) {
+    return metrics.ttft ?? (metrics.endTime - metrics.startTime);
+  }
+
+  /**
+   * Summarize one step of the ramp
+   * @param {Object} step - { rate, duration (ms of arrivals), elapsed (ms until the last response), requests, dropped }
+   *   where each request is { lag (ms between scheduled and actual send), metrics }
+   * @param {number|null} baselineService - Fastest service time of the first step; queueing delay is the send lag
+   *   plus the service time above it (null for the first step itself, which uses its own)
+   */
+  summarizeStep(step, baselineService) {
+    const successful = step.requests.filter(r => !r.metrics.error && !r.metrics.timeout);
+    const serviceTimes = successful.map(r => this.serviceTime(r.metrics));
+    const baseline = baselineService ?? (serviceTimes.length > 0 ? Math.min(...serviceTimes) : 0);
+
+    const sortedLatencies = successful.map(r => r.metrics.endTime - r.metrics.startTime).sort((a, b) => a - b);
+    const queueDelays = successful
+      .map(r => r.lag + Math.max(0, this.serviceTime(r.metrics) - baseline))
+      .sort((a, b) => a - b);
+    const ttfts = successful.map(r => r.metrics.ttft).filter(v => v !== null && v !== undefined);
+    const percentile = (sorted, p) => sorted.length > 0
+      ? sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)]
+      : null;
+
+    const seconds = step.elapsed / 1000;
+    const sent = step.requests.length;
+    return {
+      target_rps: step.rate,
+      offered_rps: sent / (step.duration / 1000),
+      achieved_rps: seconds > 0 ? successful.length / seconds : 0,
+      output_tps: seconds > 0 ? successful.reduce((sum, r) => sum + r.metrics.tokens, 0) / seconds : 0,
+      sent,
+      completed: successful.length,
+      // A timed-out request also carries the abort error: count it once, as a timeout
+      errors: step.requests.filter(r => r.metrics.error && !r.metrics.timeout).length,
+      timeouts: step.requests.filter(r => r.metrics.timeout).length,
+      dropped: step.dropped,
+      latency_p50: percentile(sortedLatencies, 50),
+      latency_p95: percentile(sortedLatencies, 95),
+      latency_p99: percentile(sortedLatencies, 99),
+      ttft_p50: ttfts.length > 0 ? median(ttfts) : null,
+      queue_delay_p50: percentile(queueDelays, 50),
+      queue_delay_p95: percentile(queueDelays, 95),
+      baseline_service: baseline
+    };
+  }
+
+  /**
+   * Saturation knee: the first step whose p95 latency exceeds `factor` times the first step's p95,
+   * or that lost more than 10% of its requests (errors, timeouts or drops)
+   * @returns {number} Index of the knee step, -1 if the service kept up with every step
+   */
+  findKnee(steps, factor) {
+    const base = steps[0]?.latency_p95;
+    return steps.findIndex((step, idx) => {
+      const lost = step.sent + step.dropped > 0
+        ? (step.errors + step.timeouts + step.dropped) / (step.sent + step.dropped)
+        : 0;
+      return lost > 0.1 || (idx > 0 && base && step.latency_p95 !== null && step.latency_p95 > base * factor);
+    });
+  }
+}
+
+export default new LoadTest();
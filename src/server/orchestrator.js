@@ -1,14 +1,17 @@
+import { performance } from 'perf_hooks';
 import { FoundryLocalManager } from 'foundry-local-sdk';
 import OpenAI from 'openai';
 import logger, { createServiceLogger } from './logger.js';
 import storage from './storage.js';
 import cacheManager from './cacheManager.js';
+import processMonitor from './processMonitor.js';
 
 class FoundryLocalOrchestrator {
   constructor() {
     this.manager = null;
     this.openaiClient = null;
     this.loadedModels = new Map(); // modelId -> FoundryModelInfo
+    this.lastLoads = new Map(); // modelId -> { load_time, download_time, load_memory } of the latest load
     this.initialized = false;
   }
 
@@ -254,15 +257,23 @@ class FoundryLocalOrchestrator {
     try {
       serviceLogger.info('Loading model', { modelId, alias, device, ttl });
 
+      // Service memory before the load, to record how much memory the model takes
+      let memoryBefore = await processMonitor.snapshot({ refresh: true });
+
       // First, try to load the model directly with SDK
       // This works for catalog models and MIGHT work for cached models
+      let loadStart = performance.now();
       try {
         const modelInfo = await this.manager.loadModel(alias, device, ttl);
+        const loadTime = performance.now() - loadStart;
+        const loadMemory = processMonitor.memoryDelta(memoryBefore, await processMonitor.snapshot({ refresh: true }));
+        this.lastLoads.set(modelId, { load_time: loadTime, download_time: null, load_memory: loadMemory });
 
         serviceLogger.info('Model loaded via SDK', {
           id: modelId,
           foundry_id: modelInfo.id,
-          alias: modelInfo.alias
+          alias: modelInfo.alias,
+          loadTime: `${loadTime.toFixed(0)}ms`
         });
 
         // Store model info in cache
@@ -281,6 +292,9 @@ class FoundryLocalOrchestrator {
             deviceType: modelInfo.deviceType,
             executionProvider: modelInfo.executionProvider,
             modelSize: modelInfo.modelSize,
+            load_memory: loadMemory,
+            load_time: loadTime,
+            download_time: null,
             last_error: null,
             last_heartbeat: Date.now(),
             updated_at: Date.now()
@@ -302,6 +316,7 @@ class FoundryLocalOrchestrator {
 
           try {
             serviceLogger.info('Loading custom model via CLI', { alias, ttl });
+            loadStart = performance.now();
 
             const { stdout, stderr } = await execPromise(
               `foundry model load "${alias}" --ttl ${ttl}`,
@@ -312,7 +327,10 @@ class FoundryLocalOrchestrator {
               throw new Error(`CLI error: ${stderr}`);
             }
 
+            const loadTime = performance.now() - loadStart;
             serviceLogger.info('Custom model loaded via CLI', { stdout });
+            const loadMemory = processMonitor.memoryDelta(memoryBefore, await processMonitor.snapshot({ refresh: true }));
+            this.lastLoads.set(modelId, { load_time: loadTime, download_time: null, load_memory: loadMemory });
 
             // Create mock modelInfo for custom models
             const modelInfo = {
@@ -340,6 +358,9 @@ class FoundryLocalOrchestrator {
                 deviceType: 'Custom',
                 executionProvider: 'Custom',
                 modelSize: null,
+                load_memory: loadMemory,
+                load_time: loadTime,
+                download_time: null,
                 last_error: null,
                 last_heartbeat: Date.now(),
                 updated_at: Date.now()
@@ -376,13 +397,20 @@ class FoundryLocalOrchestrator {
             });
           }
 
-          // Download the model first
+          // Download the model first (timed separately from the load)
+          const downloadStart = performance.now();
           await this.downloadModel(alias, device);
+          const downloadTime = performance.now() - downloadStart;
 
           serviceLogger.info('Download complete, loading model...', { alias });
 
           // Now try loading again
+          memoryBefore = await processMonitor.snapshot({ refresh: true });
+          loadStart = performance.now();
           const modelInfo = await this.manager.loadModel(alias, device, ttl);
+          const loadTime = performance.now() - loadStart;
+          const loadMemory = processMonitor.memoryDelta(memoryBefore, await processMonitor.snapshot({ refresh: true }));
+          this.lastLoads.set(modelId, { load_time: loadTime, download_time: downloadTime, load_memory: loadMemory });
 
           // Store model info in cache
           this.loadedModels.set(modelId, modelInfo);
@@ -399,6 +427,9 @@ class FoundryLocalOrchestrator {
               deviceType: modelInfo.deviceType,
               executionProvider: modelInfo.executionProvider,
               modelSize: modelInfo.modelSize,
+              load_memory: loadMemory,
+              load_time: loadTime,
+              download_time: downloadTime,
               last_error: null,
               last_heartbeat: Date.now(),
               updated_at: Date.now()
@@ -409,7 +440,9 @@ class FoundryLocalOrchestrator {
           serviceLogger.info('Model loaded after download', {
             id: modelId,
             foundry_id: modelInfo.id,
-            alias: modelInfo.alias
+            alias: modelInfo.alias,
+            downloadTime: `${downloadTime.toFixed(0)}ms`,
+            loadTime: `${loadTime.toFixed(0)}ms`
           });
 
           return modelInfo;
@@ -615,6 +648,14 @@ class FoundryLocalOrchestrator {
     return this.loadedModels.get(modelId) || null;
   }
 
+  /**
+   * Timings and memory of the latest load of a model (null if this server has not loaded it)
+   * @returns {Object|null} { load_time (ms), download_time (ms, null without a download), load_memory }
+   */
+  getLastLoad(modelId) {
+    return this.lastLoads.get(modelId) || null;
+  }
+
   /**
    * Get all loaded models from cache
    */
@@ -0,0 +1,225 @@
+import fs from 'fs';
+import os from 'os';
+import { performance } from 'perf_hooks';
+import si from 'systeminformation';
+import logger from './logger.js';
+
+// Foundry Local service executable (Inference.Service.Agent on Windows and macOS), matched against the whole
+// process name so the foundry CLI, shells or this server are not counted; override with FOUNDRY_PROCESS_PATTERN
+const DEFAULT_SERVICE_PATTERN = '^Inference\\.Service\\.Agent(\\.exe)?$';
+
+/**
+ * Service process pattern from FOUNDRY_PROCESS_PATTERN; an invalid pattern falls back to the default
+ * instead of stopping the server
+ */
+function getServicePattern() {
+  const pattern = process.env.FOUNDRY_PROCESS_PATTERN;
+  if (pattern) {
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (error) {
+      logger.warn('Invalid FOUNDRY_PROCESS_PATTERN, using the default service pattern', { pattern, error: error.message });
+    }
+  }
+  return new RegExp(DEFAULT_SERVICE_PATTERN, 'i');
+}
+
+const SERVICE_PATTERN = getServicePattern();
+
+// Listing every process is expensive, so the service PIDs are rediscovered at most this often (ms)
+const DISCOVERY_INTERVAL = 30000;
+
+// Kernel clock ticks per second for /proc/<pid>/stat CPU times (USER_HZ, 100 on practically all Linux systems)
+const CLOCK_TICKS = 100;
+
+/**
+ * Attributes memory and CPU to the Foundry Local service process and its children,
+ * instead of system-wide percentages that include every other application
+ */
+class ProcessMonitor {
+  constructor() {
+    this.service = null; // { at, processes: [{ pid, name, root }] } from the last discovery
+  }
+
+  /**
+   * Find the service processes: every process matching the service pattern plus its descendants
+   * @returns {Array} systeminformation process entries
+   */
+  async findServiceProcesses() {
+    const { list } = await si.processes();
+    const pids = new Set(list
+      .filter(p => SERVICE_PATTERN.test(p.name))
+      .map(p => p.pid));
+
+    // Add descendants until no new child is found
+    let added = pids.size > 0;
+    while (added) {
+      added = false;
+      for (const p of list) {
+        if (!pids.has(p.pid) && pids.has(p.parentPid)) {
+          pids.add(p.pid);
+          added = true;
+        }
+      }
+    }
+
+    return list.filter(p => pids.has(p.pid));
+  }
+
+  /**
+   * Rediscover the service processes now (once per scenario, and around model loads, when the service
+   * may have started or restarted); snapshots in between only read the known PIDs
+   */
+  async refresh() {
+    const processes = await this.findServiceProcesses();
+    this.service = {
+      at: Date.now(),
+      processes: processes.map(p => ({ pid: p.pid, name: p.name, root: SERVICE_PATTERN.test(p.name) }))
+    };
+    return this.service.processes;
+  }
+
+  /**
+   * Known service processes, rediscovered when stale
+   */
+  async getServiceProcesses() {
+    if (!this.service || Date.now() - this.service.at >= DISCOVERY_INTERVAL) {
+      return this.refresh();
+    }
+    return this.service.processes;
+  }
+
+  /**
+   * Resident memory of a process in KB, from /proc/<pid>/status (Linux only)
+   */
+  readRss(pid) {
+    try {
+      const status = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+      return parseInt(status.match(/^VmRSS:\s+(\d+)/m)?.[1] || '0');
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Private (unshared) memory of a process in KB, from /proc/<pid>/smaps_rollup (Linux only)
+   */
+  readPrivateMemory(pid) {
+    try {
+      const rollup = fs.readFileSync(`/proc/${pid}/smaps_rollup`, 'utf8');
+      const kb = (field) => parseInt(rollup.match(new RegExp(`^${field}:\\s+(\\d+)`, 'm'))?.[1] || '0');
+      return kb('Private_Clean') + kb('Private_Dirty');
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Cumulative CPU time (user + system) of a process in seconds, from /proc/<pid>/stat (Linux only)
+   */
+  readCpuTime(pid) {
+    try {
+      const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+      // Fields after the parenthesized command name; utime and stime are fields 14 and 15
+      const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+      return (parseInt(fields[11]) + parseInt(fields[12])) / CLOCK_TICKS;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Snapshot of the service processes
+   * Only the known PIDs are read: /proc on Linux, otherwise si.processLoad on the service executable
+   * (its children are not attributed there, and private_mb and cpu_times are null)
+   * @param {Object} options - refresh: rediscover the service processes first; previous: the caller's last
+   *   snapshot, the baseline for CPU % (each caller keeps its own, so interleaved snapshots do not skew it)
+   * @returns {Object|null} { at, pids, rss_mb, private_mb, cpu (% since `previous`, null without it),
+   *   cpu_times (s per pid) }; null if no service process is found
+   */
+  async snapshot({ refresh = false, previous = null } = {}) {
+    try {
+      const processes = refresh ? await this.refresh() : await this.getServiceProcesses();
+      if (processes.length === 0) {
+        return null;
+      }
+
+      if (!fs.existsSync('/proc')) {
+        const names = [...new Set(processes.filter(p => p.root).map(p => p.name))];
+        const loads = await si.processLoad(names.join(','));
+        return {
+          at: performance.now(),
+          pids: loads.flatMap(l => l.pids),
+          rss_mb: loads.reduce((sum, l) => sum + (l.mem / 100) * os.totalmem(), 0) / (1024 * 1024),
+          private_mb: null,
+          cpu: loads.reduce((sum, l) => sum + (l.cpu || 0), 0),
+          cpu_times: null
+        };
+      }
+
+      // Processes that exited since the discovery are skipped, and trigger a new discovery next time
+      const live = processes
+        .map(p => ({ pid: p.pid, rss: this.readRss(p.pid), cpuTime: this.readCpuTime(p.pid) }))
+        .filter(p => p.rss !== null && p.cpuTime !== null);
+      if (live.length < processes.length) {
+        this.service.at = 0;
+      }
+      if (live.length === 0) {
+        return null;
+      }
+
+      const now = performance.now();
+      const cpu_times = Object.fromEntries(live.map(p => [p.pid, p.cpuTime]));
+      // CPU % from the CPU time since the previous snapshot (processes new since then count from now)
+      const elapsed = previous?.cpu_times ? (now - previous.at) / 1000 : 0;
+      const cpu = elapsed > 0
+        ? (live.reduce((sum, p) => sum + Math.max(0, p.cpuTime - (previous.cpu_times[p.pid] ?? p.cpuTime)), 0) / elapsed) * 100
+        : null;
+
+      const privateKb = live.map(p => this.readPrivateMemory(p.pid)).filter(kb => kb !== null);
+      return {
+        at: now,
+        pids: live.map(p => p.pid),
+        rss_mb: live.reduce((sum, p) => sum + p.rss, 0) / 1024,
+        private_mb: privateKb.length > 0 ? privateKb.reduce((sum, kb) => sum + kb, 0) / 1024 : null,
+        cpu,
+        cpu_times
+      };
+    } catch (error) {
+      logger.warn('Failed to collect service process metrics', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * CPU seconds the service spent between two snapshots; processes started in between count from zero
+   * @returns {number|null} null if either snapshot has no /proc CPU times
+   */
+  cpuTimeDelta(before, after) {
+    if (!before?.cpu_times || !after?.cpu_times) {
+      return null;
+    }
+    return Object.entries(after.cpu_times)
+      .reduce((sum, [pid, seconds]) => sum + Math.max(0, seconds - (before.cpu_times[pid] ?? 0)), 0);
+  }
+
+  /**
+   * Memory taken by a model load: difference between snapshots taken before and after it
+   * @returns {Object|null} { rss_delta_mb, private_delta_mb, rss_after_mb, measured_at }
+   */
+  memoryDelta(before, after) {
+    if (!before || !after) {
+      return null;
+    }
+    return {
+      rss_delta_mb: after.rss_mb - before.rss_mb,
+      private_delta_mb: before.private_mb !== null && after.private_mb !== null
+        ? after.private_mb - before.private_mb
+        : null,
+      rss_after_mb: after.rss_mb,
+      measured_at: Date.now()
+    };
+  }
+}
+
+export default new ProcessMonitor();
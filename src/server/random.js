@@ -0,0 +1,49 @@
+/**
+ * Seeded pseudo-random numbers, so sampled prompts and execution orders are reproducible
+ */
+
+/**
+ * Create a random number generator (mulberry32) returning floats in [0, 1)
+ * @param {number|string} seed - Numeric seed, or a string hashed into one
+ */
+export const createSeededRandom = (seed) => {
+  let state = typeof seed === 'number' ? seed >>> 0 : hashSeed(String(seed));
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Hash a string seed into a 32-bit integer (FNV-1a)
+ */
+const hashSeed = (value) => {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Generate a new random seed (stored with the run so it can be reproduced)
+ */
+export const generateSeed = () => Math.floor(Math.random() * 2 ** 31);
+
+/**
+ * Shuffle a copy of an array (Fisher-Yates)
+ * @param {Function} random - Generator from createSeededRandom
+ */
+export const shuffle = (array, random) => {
+  const copy = [...array];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
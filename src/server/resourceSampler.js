@@ -0,0 +1,76 @@
+import { performance } from 'perf_hooks';
+import logger from './logger.js';
+
+/**
+ * Background sampler recording a resource time series for the whole duration of a scenario
+ * Samples are taken back to back at `intervalMs` (a slow sample delays the next one instead
+ * of overlapping it); `t` is milliseconds since start() on the performance.now() clock
+ */
+class ResourceSampler {
+  /**
+   * @param {Function} collect - Async function returning one sample ({ cpu, ram, gpu, ... })
+   * @param {number} intervalMs - Time between samples
+   */
+  constructor(collect, intervalMs = 1000) {
+    this.collect = collect;
+    this.intervalMs = Math.max(100, parseInt(intervalMs) || 1000);
+    this.samples = [];
+    this.startedAt = null;
+    this.running = false;
+    this.timer = null;
+    this.pending = null;
+  }
+
+  start() {
+    this.startedAt = performance.now();
+    this.running = true;
+    this.tick();
+    return this;
+  }
+
+  async tick() {
+    const t = performance.now() - this.startedAt;
+    this.pending = this.collect()
+      .then(sample => this.samples.push({ t, ...sample }))
+      .catch(error => logger.warn('Resource sample failed', { error: error.message }));
+    await this.pending;
+
+    if (this.running) {
+      const wait = Math.max(0, this.intervalMs - (performance.now() - this.startedAt - t));
+      this.timer = setTimeout(() => this.tick(), wait);
+      this.timer.unref?.();
+    }
+  }
+
+  /**
+   * Convert a performance.now() timestamp to the sampler's time axis
+   */
+  toOffset(timestamp) {
+    return timestamp - this.startedAt;
+  }
+
+  /**
+   * Stop sampling (after one last sample) and return the time series with per-metric peaks
+   * @returns {Object} { interval, samples: [{ t, ...metrics }], peaks }
+   */
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    await this.pending;
+    await this.tick();
+
+    const keys = [...new Set(this.samples.flatMap(s => Object.keys(s)))].filter(k => k !== 't');
+    const peaks = Object.fromEntries(keys.map(key => {
+      const values = this.samples.map(s => s[key]).filter(v => Number.isFinite(v));
+      return [key, values.length > 0 ? Math.max(...values) : null];
+    }));
+
+    return {
+      interval: this.intervalMs,
+      samples: this.samples,
+      peaks
+    };
+  }
+}
+
+export default ResourceSampler;
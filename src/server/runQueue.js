@@ -0,0 +1,156 @@
+import { v4 as uuidv4 } from 'uuid';
+import logger from './logger.js';
+import benchmark from './benchmark.js';
+
+/**
+ * Server-side benchmark run queue
+ * NOTE: All models share the SINGLE Foundry Local service, so runs are started one at a time
+ * to keep their timings from contaminating each other
+ */
+class RunQueue {
+  constructor() {
+    this.entries = []; // Waiting runs, in execution order
+    this.active = null; // Entry currently being executed
+  }
+
+  /**
+   * Add a run to the queue and start it if nothing else is running
+   * @param {Object} request - modelIds, suiteName, suite, config and optional resumeRunId
+   * @returns {Object} Queue entry with its position (null once started)
+   */
+  enqueue({ modelIds, suiteName, suite, config, resumeRunId = null }) {
+    const entry = {
+      id: resumeRunId || uuidv4(),
+      model_ids: modelIds,
+      suite_name: suiteName,
+      suite,
+      config,
+      resume: Boolean(resumeRunId),
+      enqueued_at: Date.now()
+    };
+
+    this.entries.push(entry);
+    logger.info('Benchmark run queued', {
+      runId: entry.id,
+      position: this.entries.length,
+      resume: entry.resume
+    });
+
+    this.processNext();
+
+    return {
+      ...this.summarize(entry),
+      position: this.getPosition(entry.id)
+    };
+  }
+
+  /**
+   * Start the next queued run when the service is free
+   */
+  processNext() {
+    if (this.active || this.entries.length === 0) {
+      return;
+    }
+
+    const entry = this.entries.shift();
+    this.active = entry;
+
+    logger.info('Starting queued benchmark run', { runId: entry.id, remaining: this.entries.length });
+
+    benchmark.runBenchmark(
+      entry.model_ids,
+      entry.suite_name,
+      entry.suite,
+      entry.config,
+      (progress) => {
+        logger.info('Benchmark progress', progress);
+      },
+      entry.resume ? { resumeRunId: entry.id } : { runId: entry.id }
+    )
+      .catch(error => {
+        logger.error('Queued benchmark run failed', { runId: entry.id, error: error.message });
+      })
+      .finally(() => {
+        this.active = null;
+        this.processNext();
+      });
+  }
+
+  /**
+   * Get 1-based position of a waiting run (null if not waiting)
+   */
+  getPosition(id) {
+    const index = this.entries.findIndex(e => e.id === id);
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Check whether a run is waiting or running through the queue
+   */
+  has(id) {
+    return this.active?.id === id || this.getPosition(id) !== null;
+  }
+
+  /**
+   * Move a waiting run to a new 1-based position
+   * @returns {boolean} false if the run is not waiting
+   */
+  move(id, position) {
+    const index = this.entries.findIndex(e => e.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    const [entry] = this.entries.splice(index, 1);
+    const target = Math.max(0, Math.min(position - 1, this.entries.length));
+    this.entries.splice(target, 0, entry);
+
+    logger.info('Benchmark run moved in queue', { runId: id, position: target + 1 });
+    return true;
+  }
+
+  /**
+   * Remove a waiting run from the queue
+   * @returns {boolean} false if the run is not waiting
+   */
+  remove(id) {
+    const index = this.entries.findIndex(e => e.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.entries.splice(index, 1);
+    logger.info('Benchmark run removed from queue', { runId: id });
+    return true;
+  }
+
+  /**
+   * List the active run and the waiting runs
+   */
+  list() {
+    return {
+      active: this.active ? this.summarize(this.active) : null,
+      queue: this.entries.map((entry, index) => ({
+        ...this.summarize(entry),
+        position: index + 1
+      }))
+    };
+  }
+
+  /**
+   * Queue entry without the full suite definition
+   */
+  summarize(entry) {
+    return {
+      id: entry.id,
+      model_ids: entry.model_ids,
+      suite_name: entry.suite_name,
+      scenarios: (entry.suite.scenarios || []).map(s => s.name),
+      config: entry.config,
+      resume: entry.resume,
+      enqueued_at: entry.enqueued_at
+    };
+  }
+}
+
+export default new RunQueue();
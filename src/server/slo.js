@@ -0,0 +1,89 @@
+// Per-request limits (ms) an SLO can set
+const SLO_LIMITS = ['ttft', 'tpot', 'latency'];
+
+// Fraction of requests that must meet every limit for a result to pass
+const DEFAULT_TARGET = 0.95;
+
+/**
+ * Service level objectives: per-request limits on TTFT, TPOT and end-to-end latency, and the share of
+ * requests that must meet all of them
+ *
+ * SLO format (run config `slo`, or suite `slo` / `default_config.slo`):
+ * { "ttft": 500, "tpot": 50, "latency": 5000, "target": 0.95 }
+ */
+class SloChecker {
+  /**
+   * Validate an SLO definition
+   * @returns {Object|null} { ttft?, tpot?, latency?, target }; null if it sets no limit
+   */
+  normalize(slo) {
+    if (!slo) {
+      return null;
+    }
+    if (typeof slo !== 'object' || Array.isArray(slo)) {
+      throw new Error('slo must be an object of limits in milliseconds');
+    }
+
+    const limits = {};
+    for (const key of SLO_LIMITS) {
+      if (slo[key] === null || slo[key] === undefined || slo[key] === '') continue;
+      const limit = Number(slo[key]);
+      if (!(limit > 0)) {
+        throw new Error(`SLO ${key} must be a positive number of milliseconds`);
+      }
+      limits[key] = limit;
+    }
+    if (Object.keys(limits).length === 0) {
+      return null;
+    }
+
+    const target = Number(slo.target ?? DEFAULT_TARGET);
+    if (!(target > 0 && target <= 1)) {
+      throw new Error('SLO target must be a fraction between 0 and 1');
+    }
+    return { ...limits, target };
+  }
+
+  /**
+   * Limits a request missed
+   * Failed requests miss everything ('error'); without streaming the first token arrives with the full
+   * response, so TTFT is the latency; requests without a measurable TPOT (one token) cannot miss it
+   * @param {Object} request - { latency, ttft, tpot, error, timeout }
+   * @returns {Array} Names of the missed limits, empty when the request is compliant
+   */
+  violations(request, slo) {
+    if (request.error || request.timeout) {
+      return ['error'];
+    }
+    const values = {
+      ttft: request.ttft ?? request.latency,
+      tpot: request.tpot,
+      latency: request.latency
+    };
+    return SLO_LIMITS.filter(key =>
+      slo[key] !== undefined && values[key] !== null && values[key] !== undefined && values[key] > slo[key]);
+  }
+
+  /**
+   * Compliance and goodput of a set of requests
+   * @param {Array} requests - { latency, ttft, tpot, tokens, error, timeout }
+   * @param {number} seconds - Wall-clock time the requests took (goodput denominator)
+   * @returns {Object|null} { slo_compliance (fraction of requests meeting every limit), goodput (tokens/s of
+   *   compliant requests only), slo_pass }; null without an SLO or requests
+   */
+  evaluate(requests, seconds, slo) {
+    if (!slo || requests.length === 0) {
+      return null;
+    }
+
+    const compliant = requests.filter(r => this.violations(r, slo).length === 0);
+    const slo_compliance = compliant.length / requests.length;
+    return {
+      slo_compliance,
+      goodput: seconds > 0 ? compliant.reduce((sum, r) => sum + r.tokens, 0) / seconds : 0,
+      slo_pass: slo_compliance >= slo.target
+    };
+  }
+}
+
+export default new SloChecker();
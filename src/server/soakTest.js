@@ -0,0 +1,132 @@
+import { median, mannWhitney, mannKendall } from './stats.js';
+
+// Drift: first vs last window differ with p below this and by at least this fraction of the first median
+const DRIFT_P_VALUE = 0.01;
+const DRIFT_MIN_CHANGE = 0.1;
+
+// Leak: increasing Mann-Kendall trend with p below this and growth of at least this fraction of the first window
+const LEAK_P_VALUE = 0.01;
+const LEAK_MIN_GROWTH = 0.05;
+const MAX_TREND_POINTS = 200;
+
+const percentile = (sorted, p) => sorted.length > 0
+  ? sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)]
+  : null;
+
+/**
+ * Soak tests: the run's scenarios are replayed in rotation for a wall-clock budget, and the requests and
+ * resource samples are analysed in windows to catch slow degradation that short runs miss
+ *
+ * Each request is { t (ms since the soak started), scenario, latency, ttft, tps, tokens, error, timeout };
+ * resource samples are the ResourceSampler series on the same time axis
+ */
+class SoakTest {
+  /**
+   * Rolling windows of `windowMs`, starting every half window
+   * @returns {Array} [{ start, end, requests, errors, latency_p50, latency_p95, ttft_p50, tps, rss_mb, cpu }]
+   */
+  buildWindows(requests, samples, durationMs, windowMs) {
+    const windows = [];
+    const stepMs = windowMs / 2;
+    for (let start = 0; start + windowMs <= durationMs + 1; start += stepMs) {
+      const end = start + windowMs;
+      const inWindow = requests.filter(r => r.t >= start && r.t < end);
+      const ok = inWindow.filter(r => !r.error && !r.timeout);
+      const latencies = ok.map(r => r.latency).sort((a, b) => a - b);
+      const ttfts = ok.map(r => r.ttft).filter(v => v !== null && v !== undefined);
+      const windowSamples = samples.filter(s => s.t >= start && s.t < end);
+      const meanOf = (key) => {
+        const values = windowSamples.map(s => s[key]).filter(v => Number.isFinite(v));
+        return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+      };
+
+      windows.push({
+        start,
+        end,
+        requests: inWindow.length,
+        errors: inWindow.length - ok.length,
+        latency_p50: percentile(latencies, 50),
+        latency_p95: percentile(latencies, 95),
+        ttft_p50: ttfts.length > 0 ? median(ttfts) : null,
+        tps: ok.length > 0 ? ok.reduce((sum, r) => sum + r.tps, 0) / ok.length : null,
+        rss_mb: meanOf('service_rss'),
+        cpu: meanOf('cpu')
+      });
+    }
+    return windows;
+  }
+
+  /**
+   * Compare a per-request metric between the first and the last window of the soak
+   * @returns {Object|null} { first_median, last_median, change (fraction), p_value, significant }
+   */
+  compare(requests, key, durationMs, windowMs) {
+    const values = (from, to) => requests
+      .filter(r => !r.error && !r.timeout && r.t >= from && r.t < to)
+      .map(r => r[key])
+      .filter(v => Number.isFinite(v));
+    const first = values(0, windowMs);
+    const last = values(durationMs - windowMs, Infinity);
+    const test = mannWhitney(first, last);
+    if (!test) {
+      return null;
+    }
+
+    const first_median = median(first);
+    const last_median = median(last);
+    const change = first_median !== 0 ? (last_median - first_median) / first_median : null;
+    return {
+      first_median,
+      last_median,
+      change,
+      p_value: test.p,
+      significant: test.p < DRIFT_P_VALUE && change !== null && Math.abs(change) >= DRIFT_MIN_CHANGE
+    };
+  }
+
+  /**
+   * Drift of latency and per-request TPS between the first and the last window
+   */
+  detectDrift(requests, durationMs, windowMs) {
+    return {
+      latency: this.compare(requests, 'latency', durationMs, windowMs),
+      tps: this.compare(requests, 'tps', durationMs, windowMs)
+    };
+  }
+
+  /**
+   * Monotonic growth of the Foundry service RSS: Mann-Kendall trend over the samples (thinned to
+   * MAX_TREND_POINTS), and growth from the first to the last window
+   * @returns {Object|null} { first_mb, last_mb, growth_mb, slope_mb_per_hour, p_value, leak }; null without service samples
+   */
+  detectLeak(samples, windows) {
+    const rss = samples.filter(s => Number.isFinite(s.service_rss));
+    const windowRss = windows.map(w => w.rss_mb).filter(v => v !== null);
+    if (rss.length < 2 || windowRss.length < 2) {
+      return null;
+    }
+
+    // Least-squares slope of the raw samples
+    const meanT = rss.reduce((sum, s) => sum + s.t, 0) / rss.length;
+    const meanRss = rss.reduce((sum, s) => sum + s.service_rss, 0) / rss.length;
+    const covariance = rss.reduce((sum, s) => sum + (s.t - meanT) * (s.service_rss - meanRss), 0);
+    const variance = rss.reduce((sum, s) => sum + (s.t - meanT) ** 2, 0);
+    const slopePerMs = variance > 0 ? covariance / variance : 0;
+
+    const first_mb = windowRss[0];
+    const last_mb = windowRss[windowRss.length - 1];
+    const growth_mb = last_mb - first_mb;
+    const stride = Math.ceil(rss.length / MAX_TREND_POINTS);
+    const trend = mannKendall(rss.filter((_, idx) => idx % stride === 0).map(s => s.service_rss));
+    return {
+      first_mb,
+      last_mb,
+      growth_mb,
+      slope_mb_per_hour: slopePerMs * 3600000,
+      p_value: trend?.p ?? null,
+      leak: Boolean(trend && trend.s > 0 && trend.p < LEAK_P_VALUE && growth_mb >= first_mb * LEAK_MIN_GROWTH)
+    };
+  }
+}
+
+export default new SoakTest();
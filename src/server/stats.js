@@ -0,0 +1,126 @@
+import { createSeededRandom } from './random.js';
+
+/**
+ * Descriptive statistics and bootstrap confidence intervals for per-iteration metrics
+ */
+
+const BOOTSTRAP_RESAMPLES = 1000;
+
+export const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Median of an unsorted array
+ */
+export const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+};
+
+/**
+ * Sample standard deviation (n - 1)
+ */
+export const stddev = (values) => {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1));
+};
+
+/**
+ * Percentile bootstrap confidence interval of a statistic
+ * Seeded, so the same samples always give the same interval
+ * @param {Function} statistic - Computes the statistic of a sample (default: mean)
+ * @returns {Array<number>|null} [low, high], or null with fewer than 2 values
+ */
+export const bootstrapCI = (values, statistic = mean, { confidence = 0.95, resamples = BOOTSTRAP_RESAMPLES, seed = 1 } = {}) => {
+  if (values.length < 2) return null;
+
+  const random = createSeededRandom(seed);
+  const estimates = Array.from({ length: resamples }, () => {
+    const sample = Array.from({ length: values.length }, () => values[Math.floor(random() * values.length)]);
+    return statistic(sample);
+  }).sort((a, b) => a - b);
+
+  const alpha = (1 - confidence) / 2;
+  return [
+    estimates[Math.floor(alpha * (resamples - 1))],
+    estimates[Math.ceil((1 - alpha) * (resamples - 1))]
+  ];
+};
+
+/**
+ * Summarize a metric: n, mean, stddev, min, max, coefficient of variation (stddev / mean)
+ * and the 95% bootstrap CI of the mean
+ * @returns {Object|null} null when there are no values
+ */
+export const summarize = (values) => {
+  const finite = values.filter(v => Number.isFinite(v));
+  if (finite.length === 0) return null;
+
+  const m = mean(finite);
+  const sd = stddev(finite);
+  return {
+    n: finite.length,
+    mean: m,
+    stddev: sd,
+    min: Math.min(...finite),
+    max: Math.max(...finite),
+    cv: m !== 0 ? sd / m : null,
+    ci95: bootstrapCI(finite)
+  };
+};
+
+/**
+ * Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26 approximation of erf)
+ */
+export const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+/**
+ * Mann-Whitney U test: do two samples come from the same distribution? (two-sided, normal approximation,
+ * so meant for samples of about 10 or more values each)
+ * @returns {Object|null} { u, z, p } where z > 0 means `b` tends to be larger; null if either sample has fewer than 2 values
+ */
+export const mannWhitney = (a, b) => {
+  if (a.length < 2 || b.length < 2) return null;
+
+  // Rank the pooled values, ties getting their average rank
+  const pooled = [...a.map(value => ({ value, group: 0 })), ...b.map(value => ({ value, group: 1 }))]
+    .sort((x, y) => x.value - y.value);
+  const ranks = new Array(pooled.length);
+  for (let i = 0; i < pooled.length;) {
+    let j = i;
+    while (j + 1 < pooled.length && pooled[j + 1].value === pooled[i].value) j++;
+    for (let k = i; k <= j; k++) ranks[k] = (i + j) / 2 + 1;
+    i = j + 1;
+  }
+
+  const rankSumB = pooled.reduce((sum, entry, idx) => sum + (entry.group === 1 ? ranks[idx] : 0), 0);
+  const u = rankSumB - (b.length * (b.length + 1)) / 2;
+  const sigma = Math.sqrt((a.length * b.length * (a.length + b.length + 1)) / 12);
+  const z = (u - (a.length * b.length) / 2) / sigma;
+  return { u, z, p: 2 * (1 - normalCdf(Math.abs(z))) };
+};
+
+/**
+ * Mann-Kendall test for a monotonic trend in a series (normal approximation with continuity correction)
+ * @returns {Object|null} { s, z, p } where s > 0 means increasing; null with fewer than 4 values
+ */
+export const mannKendall = (values) => {
+  const n = values.length;
+  if (n < 4) return null;
+
+  let s = 0;
+  for (let i = 0; i < n - 1; i++) {
+    for (let j = i + 1; j < n; j++) {
+      s += Math.sign(values[j] - values[i]);
+    }
+  }
+  const sigma = Math.sqrt((n * (n - 1) * (2 * n + 5)) / 18);
+  const z = s > 0 ? (s - 1) / sigma : s < 0 ? (s + 1) / sigma : 0;
+  return { s, z, p: 2 * (1 - normalCdf(Math.abs(z))) };
+};
@@ -73,6 +73,9 @@ class Storage {
         status TEXT DEFAULT 'stopped',
         last_error TEXT,
         last_heartbeat INTEGER,
+        load_memory TEXT,
+        load_time REAL,
+        download_time REAL,
         created_at INTEGER DEFAULT (strftime('%s', 'now')),
         updated_at INTEGER DEFAULT (strftime('%s', 'now'))
       )
@@ -83,6 +86,7 @@ class Storage {
       CREATE TABLE IF NOT EXISTS benchmark_runs (
         id TEXT PRIMARY KEY,
         suite_name TEXT NOT NULL,
+        suite TEXT,
         model_ids TEXT NOT NULL,
         config TEXT NOT NULL,
         hardware_info TEXT,
@@ -112,6 +116,55 @@ class Storage {
         cpu_avg REAL,
         ram_avg REAL,
         gpu_avg REAL,
+        concurrency INTEGER DEFAULT 1,
+        aggregate_tps REAL,
+        warmup_iterations INTEGER DEFAULT 0,
+        cold_ttft REAL,
+        cold_latency REAL,
+        turns INTEGER DEFAULT 1,
+        token_count_method TEXT,
+        prompt_tokens REAL,
+        prefill_tps REAL,
+        accuracy REAL,
+        judge_score REAL,
+        stats TEXT,
+        service_rss_peak REAL,
+        service_private_mb REAL,
+        service_cpu_time REAL,
+        energy_joules REAL,
+        avg_power_w REAL,
+        joules_per_request REAL,
+        tokens_per_joule REAL,
+        energy_source TEXT,
+        throttled_iterations INTEGER,
+        temp_max REAL,
+        cpu_speed_min REAL,
+        cooldown_time REAL,
+        load_time REAL,
+        download_time REAL,
+        first_token_time REAL,
+        sweep TEXT,
+        context_length INTEGER,
+        params TEXT,
+        max_sustainable_rps REAL,
+        saturation_rps REAL,
+        soak_duration REAL,
+        latency_drift REAL,
+        tps_drift REAL,
+        rss_growth_mb REAL,
+        drift_detected INTEGER,
+        leak_detected INTEGER,
+        slo_compliance REAL,
+        goodput REAL,
+        slo_pass INTEGER,
+        itl_p50 REAL,
+        itl_p95 REAL,
+        itl_p99 REAL,
+        itl_max REAL,
+        stall_count INTEGER,
+        iterations INTEGER,
+        stop_reason TEXT,
+        p50_ci_width REAL,
         raw_data TEXT,
         created_at INTEGER DEFAULT (strftime('%s', 'now')),
         FOREIGN KEY (run_id) REFERENCES benchmark_runs(id),
@@ -131,6 +184,85 @@ class Storage {
         created_at INTEGER DEFAULT (strftime('%s', 'now'))
       )
     `);
+
+    this.migrateDatabase();
+  }
+
+  /**
+   * Add columns introduced after the initial schema to existing databases
+   */
+  migrateDatabase() {
+    const addedColumns = {
+      models: {
+        load_memory: 'TEXT',
+        load_time: 'REAL',
+        download_time: 'REAL'
+      },
+      benchmark_runs: {
+        suite: 'TEXT'
+      },
+      benchmark_results: {
+        concurrency: 'INTEGER DEFAULT 1',
+        aggregate_tps: 'REAL',
+        warmup_iterations: 'INTEGER DEFAULT 0',
+        cold_ttft: 'REAL',
+        cold_latency: 'REAL',
+        turns: 'INTEGER DEFAULT 1',
+        token_count_method: 'TEXT',
+        prompt_tokens: 'REAL',
+        prefill_tps: 'REAL',
+        accuracy: 'REAL',
+        judge_score: 'REAL',
+        stats: 'TEXT',
+        service_rss_peak: 'REAL',
+        service_private_mb: 'REAL',
+        service_cpu_time: 'REAL',
+        energy_joules: 'REAL',
+        avg_power_w: 'REAL',
+        joules_per_request: 'REAL',
+        tokens_per_joule: 'REAL',
+        energy_source: 'TEXT',
+        throttled_iterations: 'INTEGER',
+        temp_max: 'REAL',
+        cpu_speed_min: 'REAL',
+        cooldown_time: 'REAL',
+        load_time: 'REAL',
+        download_time: 'REAL',
+        first_token_time: 'REAL',
+        sweep: 'TEXT',
+        context_length: 'INTEGER',
+        params: 'TEXT',
+        max_sustainable_rps: 'REAL',
+        saturation_rps: 'REAL',
+        soak_duration: 'REAL',
+        latency_drift: 'REAL',
+        tps_drift: 'REAL',
+        rss_growth_mb: 'REAL',
+        drift_detected: 'INTEGER',
+        leak_detected: 'INTEGER',
+        slo_compliance: 'REAL',
+        goodput: 'REAL',
+        slo_pass: 'INTEGER',
+        itl_p50: 'REAL',
+        itl_p95: 'REAL',
+        itl_p99: 'REAL',
+        itl_max: 'REAL',
+        stall_count: 'INTEGER',
+        iterations: 'INTEGER',
+        stop_reason: 'TEXT',
+        p50_ci_width: 'REAL'
+      }
+    };
+
+    for (const [table, columns] of Object.entries(addedColumns)) {
+      const existing = new Set(this.db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name));
+      for (const [column, type] of Object.entries(columns)) {
+        if (!existing.has(column)) {
+          this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+          logger.info('Database column added', { table, column });
+        }
+      }
+    }
   }
 
   // Model operations
@@ -145,8 +277,9 @@ class Storage {
       this.saveJsonData();
     } else {
       const stmt = this.db.prepare(`
-        INSERT OR REPLACE INTO models (id, alias, model_id, endpoint, status, last_error, last_heartbeat, updated_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, strftime('%s', 'now'))
+        INSERT OR REPLACE INTO models (id, alias, model_id, endpoint, status, last_error, last_heartbeat, load_memory,
+          load_time, download_time, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, strftime('%s', 'now'))
       `);
       
       stmt.run(
@@ -156,7 +289,10 @@ class Storage {
         model.endpoint || null,
         model.status || 'stopped',
         model.last_error || null,
-        model.last_heartbeat || null
+        model.last_heartbeat || null,
+        model.load_memory ? JSON.stringify(model.load_memory) : null,
+        model.load_time ?? null,
+        model.download_time ?? null
       );
     }
     
@@ -169,7 +305,9 @@ class Storage {
       return this.data.models[id] || null;
     }
     const stmt = this.db.prepare('SELECT * FROM models WHERE id = ?');
-    return stmt.get(id);
+    const model = stmt.get(id);
+    if (model?.load_memory) model.load_memory = JSON.parse(model.load_memory);
+    return model;
   }
 
   getAllModels() {
@@ -177,7 +315,10 @@ class Storage {
       return Object.values(this.data.models).sort((a, b) => b.created_at - a.created_at);
     }
     const stmt = this.db.prepare('SELECT * FROM models ORDER BY created_at DESC');
-    return stmt.all();
+    return stmt.all().map(model => {
+      if (model.load_memory) model.load_memory = JSON.parse(model.load_memory);
+      return model;
+    });
   }
 
   deleteModel(id) {
@@ -221,13 +362,14 @@ class Storage {
       this.saveJsonData();
     } else {
       const stmt = this.db.prepare(`
-        INSERT INTO benchmark_runs (id, suite_name, model_ids, config, hardware_info, status, started_at, completed_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO benchmark_runs (id, suite_name, suite, model_ids, config, hardware_info, status, started_at, completed_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
       
       stmt.run(
         run.id,
         run.suite_name,
+        run.suite ? JSON.stringify(run.suite) : null,
         JSON.stringify(run.model_ids),
         JSON.stringify(run.config),
         run.hardware_info ? JSON.stringify(run.hardware_info) : null,
@@ -275,6 +417,7 @@ class Storage {
     const stmt = this.db.prepare('SELECT * FROM benchmark_runs WHERE id = ?');
     const run = stmt.get(id);
     if (run) {
+      run.suite = run.suite ? JSON.parse(run.suite) : null;
       run.model_ids = JSON.parse(run.model_ids);
       run.config = JSON.parse(run.config);
       run.hardware_info = run.hardware_info ? JSON.parse(run.hardware_info) : null;
@@ -289,6 +432,7 @@ class Storage {
     const stmt = this.db.prepare('SELECT * FROM benchmark_runs ORDER BY started_at DESC');
     const runs = stmt.all();
     return runs.map(run => {
+      run.suite = run.suite ? JSON.parse(run.suite) : null;
       run.model_ids = JSON.parse(run.model_ids);
       run.config = JSON.parse(run.config);
       run.hardware_info = run.hardware_info ? JSON.parse(run.hardware_info) : null;
@@ -310,8 +454,16 @@ class Storage {
       const stmt = this.db.prepare(`
         INSERT INTO benchmark_results
         (id, run_id, model_id, scenario, tps, ttft, tpot, gen_tps, latency_p50, latency_p95, latency_p99,
-         error_rate, timeout_rate, cpu_avg, ram_avg, gpu_avg, raw_data)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         error_rate, timeout_rate, cpu_avg, ram_avg, gpu_avg, concurrency, aggregate_tps,
+         warmup_iterations, cold_ttft, cold_latency, turns, token_count_method, prompt_tokens, prefill_tps,
+         accuracy, judge_score, stats, service_rss_peak, service_private_mb, service_cpu_time,
+         energy_joules, avg_power_w, joules_per_request, tokens_per_joule, energy_source,
+         throttled_iterations, temp_max, cpu_speed_min, cooldown_time, load_time, download_time, first_token_time,
+         sweep, context_length, params, max_sustainable_rps, saturation_rps,
+         soak_duration, latency_drift, tps_drift, rss_growth_mb, drift_detected, leak_detected,
+         slo_compliance, goodput, slo_pass, itl_p50, itl_p95, itl_p99, itl_max, stall_count,
+         iterations, stop_reason, p50_ci_width, raw_data)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
 
       stmt.run(
@@ -331,6 +483,55 @@ class Storage {
         result.cpu_avg || null,
         result.ram_avg || null,
         result.gpu_avg || null,
+        result.concurrency || 1,
+        result.aggregate_tps || null,
+        result.warmup_iterations || 0,
+        result.cold_ttft || null,
+        result.cold_latency || null,
+        result.turns || 1,
+        result.token_count_method || null,
+        result.prompt_tokens ?? null,
+        result.prefill_tps || null,
+        result.accuracy ?? null,
+        result.judge_score ?? null,
+        result.stats ? JSON.stringify(result.stats) : null,
+        result.service_rss_peak ?? null,
+        result.service_private_mb ?? null,
+        result.service_cpu_time ?? null,
+        result.energy_joules ?? null,
+        result.avg_power_w ?? null,
+        result.joules_per_request ?? null,
+        result.tokens_per_joule ?? null,
+        result.energy_source || null,
+        result.throttled_iterations ?? null,
+        result.temp_max ?? null,
+        result.cpu_speed_min ?? null,
+        result.cooldown_time ?? null,
+        result.load_time ?? null,
+        result.download_time ?? null,
+        result.first_token_time ?? null,
+        result.sweep || null,
+        result.context_length ?? null,
+        result.params ? JSON.stringify(result.params) : null,
+        result.max_sustainable_rps ?? null,
+        result.saturation_rps ?? null,
+        result.soak_duration ?? null,
+        result.latency_drift ?? null,
+        result.tps_drift ?? null,
+        result.rss_growth_mb ?? null,
+        result.drift_detected === null || result.drift_detected === undefined ? null : Number(result.drift_detected),
+        result.leak_detected === null || result.leak_detected === undefined ? null : Number(result.leak_detected),
+        result.slo_compliance ?? null,
+        result.goodput ?? null,
+        result.slo_pass === null || result.slo_pass === undefined ? null : Number(result.slo_pass),
+        result.itl_p50 ?? null,
+        result.itl_p95 ?? null,
+        result.itl_p99 ?? null,
+        result.itl_max ?? null,
+        result.stall_count ?? null,
+        result.iterations ?? null,
+        result.stop_reason || null,
+        result.p50_ci_width ?? null,
         result.raw_data ? JSON.stringify(result.raw_data) : null
       );
     }
@@ -345,6 +546,8 @@ class Storage {
     const stmt = this.db.prepare('SELECT * FROM benchmark_results WHERE run_id = ?');
     const results = stmt.all(runId);
     return results.map(r => {
+      if (r.stats) r.stats = JSON.parse(r.stats);
+      if (r.params) r.params = JSON.parse(r.params);
       if (r.raw_data) r.raw_data = JSON.parse(r.raw_data);
       return r;
     });
@@ -361,6 +564,8 @@ class Storage {
     const stmt = this.db.prepare('SELECT * FROM benchmark_results ORDER BY created_at DESC');
     const results = stmt.all();
     return results.map(r => {
+      if (r.stats) r.stats = JSON.parse(r.stats);
+      if (r.params) r.params = JSON.parse(r.params);
       if (r.raw_data) r.raw_data = JSON.parse(r.raw_data);
       return r;
     });
@@ -427,17 +632,61 @@ class Storage {
     return {
       run,
       results,
+      context_sweeps: this.getContextSweepSeries(results),
       exported_at: Date.now()
     };
   }
 
+  /**
+   * Context-length sweep curves: one series per model and sweep, points ordered by context length
+   * @returns {Array} [{ model_id, sweep, points: [{ context_length, prompt_tokens, ttft, prefill_tps, tpot }] }]
+   */
+  getContextSweepSeries(results) {
+    const series = new Map();
+    for (const r of results.filter(r => r.sweep && r.context_length)) {
+      const key = `${r.model_id}::${r.sweep}`;
+      if (!series.has(key)) {
+        series.set(key, { model_id: r.model_id, sweep: r.sweep, points: [] });
+      }
+      series.get(key).points.push({
+        context_length: r.context_length,
+        prompt_tokens: r.prompt_tokens ?? null,
+        ttft: r.ttft ?? null,
+        prefill_tps: r.prefill_tps ?? null,
+        tpot: r.tpot ?? null
+      });
+    }
+    return [...series.values()].map(s => ({
+      ...s,
+      points: s.points.sort((a, b) => a.context_length - b.context_length)
+    }));
+  }
+
   exportToCSV(runId) {
     const results = this.getBenchmarkResults(runId);
     
     if (results.length === 0) return '';
     
-    const headers = Object.keys(results[0]).filter(k => k !== 'raw_data');
-    const rows = results.map(r => 
+    // Stats are flattened into <metric>_<stat> columns (e.g. latency_mean, latency_ci95_low)
+    const flattenStats = (stats) => Object.fromEntries(
+      Object.entries(stats || {}).filter(([, summary]) => summary).flatMap(([metric, summary]) => {
+        const { ci95, ...values } = summary;
+        return [
+          ...Object.entries(values).map(([stat, value]) => [`${metric}_${stat}`, value]),
+          [`${metric}_ci95_low`, ci95?.[0]],
+          [`${metric}_ci95_high`, ci95?.[1]]
+        ];
+      })
+    );
+    // Parameter grid values become param_<name> columns
+    const flattenParams = (params) => Object.fromEntries(
+      Object.entries(params || {}).map(([name, value]) => [`param_${name}`, value])
+    );
+    const flattened = results.map(r => ({ ...r, ...flattenStats(r.stats), ...flattenParams(r.params) }));
+
+    const headers = [...new Set(flattened.flatMap(r => Object.keys(r)))]
+      .filter(k => k !== 'raw_data' && k !== 'stats' && k !== 'params');
+    const rows = flattened.map(r => 
       headers.map(h => {
         const val = r[h];
         if (val === null || val === undefined) return '';
@@ -0,0 +1,103 @@
+import si from 'systeminformation';
+import logger from './logger.js';
+
+const COOLDOWN_POLL_INTERVAL = 1000;
+
+/**
+ * CPU temperature and clock speed: throttling detection per iteration and the optional
+ * cooldown policy (wait until the CPU is below a temperature before continuing)
+ */
+class ThermalMonitor {
+  constructor() {
+    this.warnedNoTemperature = false;
+  }
+
+  /**
+   * Read the CPU package temperature (°C) and average clock speed (GHz); null where unsupported
+   */
+  async read() {
+    try {
+      const [temperature, speed] = await Promise.all([
+        si.cpuTemperature(),
+        si.cpuCurrentSpeed()
+      ]);
+      return {
+        temp: temperature.main ?? temperature.max ?? null,
+        cpu_speed: speed.avg || null
+      };
+    } catch {
+      return { temp: null, cpu_speed: null };
+    }
+  }
+
+  /**
+   * Check the resource samples taken during one request for throttling
+   * @param {Array} samples - Resource samples ({ t, temp, cpu_speed })
+   * @param {Object} window - { start, end } of the request on the sampler's time axis
+   * @param {number} intervalMs - Sample interval; the first sample after the request still counts
+   * @param {Object} options - baselineSpeed (highest clock seen in the run), tempThreshold (°C), speedDrop (fraction)
+   * @returns {Object|null} { max_temp, min_speed, throttled, reasons }; null without thermal samples
+   */
+  classify(samples, { start, end }, intervalMs, { baselineSpeed, tempThreshold, speedDrop }) {
+    const during = samples.filter(s => s.t >= start && s.t <= end + intervalMs);
+    const temps = during.map(s => s.temp).filter(v => Number.isFinite(v));
+    const speeds = during.map(s => s.cpu_speed).filter(v => Number.isFinite(v));
+    if (temps.length === 0 && speeds.length === 0) {
+      return null;
+    }
+
+    const max_temp = temps.length > 0 ? Math.max(...temps) : null;
+    const min_speed = speeds.length > 0 ? Math.min(...speeds) : null;
+    const reasons = [];
+    if (max_temp !== null && tempThreshold && max_temp >= tempThreshold) {
+      reasons.push('temperature');
+    }
+    if (min_speed !== null && baselineSpeed && min_speed < baselineSpeed * (1 - speedDrop)) {
+      reasons.push('clock');
+    }
+
+    return {
+      max_temp,
+      min_speed,
+      throttled: reasons.length > 0,
+      reasons
+    };
+  }
+
+  /**
+   * Wait until the CPU temperature falls below `targetTemp`
+   * @returns {Object} { waited (ms), start_temp, end_temp, timed_out }; waited is 0 if the CPU is already
+   *   cool or the temperature cannot be read
+   */
+  async waitForCooldown(targetTemp, { timeout = 300000, signal = null } = {}) {
+    const started = Date.now();
+    let { temp } = await this.read();
+    const start_temp = temp;
+
+    if (temp === null) {
+      if (!this.warnedNoTemperature) {
+        logger.warn('CPU temperature is not available, cooldown is skipped');
+        this.warnedNoTemperature = true;
+      }
+      return { waited: 0, start_temp: null, end_temp: null, timed_out: false };
+    }
+    if (temp < targetTemp) {
+      return { waited: 0, start_temp: temp, end_temp: temp, timed_out: false };
+    }
+
+    while (temp >= targetTemp && !signal?.aborted && Date.now() - started < timeout) {
+      await new Promise(resolve => setTimeout(resolve, COOLDOWN_POLL_INTERVAL));
+      ({ temp } = await this.read());
+      if (temp === null) break;
+    }
+
+    return {
+      waited: Date.now() - started,
+      start_temp,
+      end_temp: temp,
+      timed_out: temp !== null && temp >= targetTemp && Date.now() - started >= timeout
+    };
+  }
+}
+
+export default new ThermalMonitor();
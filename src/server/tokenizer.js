@@ -0,0 +1,92 @@
+import logger from './logger.js';
+
+/**
+ * Local output token counting, used when the service does not report usage
+ * Each model family maps to the bundled BPE encoding (gpt-tokenizer) of its own vocabulary;
+ * families without a bundled vocabulary are counted with cl100k_base and flagged as estimates
+ */
+const FAMILY_ENCODINGS = [
+  { family: 'phi-4-mini', pattern: /phi-4-mini/i, encoding: 'o200k_base', exact: true },
+  // Phi-4's vocabulary is derived from cl100k_base but adds its own special tokens, so counts are close, not exact
+  { family: 'phi-4', pattern: /phi-4/i, encoding: 'cl100k_base', exact: false },
+  { family: 'gpt-oss', pattern: /gpt-oss/i, encoding: 'o200k_base', exact: true },
+  { family: 'llama-3', pattern: /llama-?3/i, encoding: 'cl100k_base', exact: false },
+  { family: 'qwen', pattern: /qwen/i, encoding: 'cl100k_base', exact: false }
+];
+
+const FALLBACK_ENCODING = { family: 'unknown', encoding: 'cl100k_base', exact: false };
+
+class Tokenizer {
+  constructor() {
+    this.encodings = new Map(); // encoding name -> Promise of the gpt-tokenizer module
+  }
+
+  /**
+   * Get the encoding used for a model (matched on its ID or alias)
+   * @returns {Object} family, encoding and whether the count is exact for that family
+   */
+  getEncodingInfo(modelName) {
+    const match = FAMILY_ENCODINGS.find(e => e.pattern.test(modelName || ''));
+    const { family, encoding, exact } = match || FALLBACK_ENCODING;
+    return { family, encoding, exact };
+  }
+
+  /**
+   * Load an encoding on first use (the vocabularies are several MB each)
+   */
+  loadEncoding(encoding) {
+    if (!this.encodings.has(encoding)) {
+      this.encodings.set(encoding, import(`gpt-tokenizer/encoding/${encoding}`));
+    }
+    return this.encodings.get(encoding);
+  }
+
+  /**
+   * Count the tokens of a prompt (message contents only: chat template tokens are not included)
+   * @returns {Object|null} Same shape as countTokens
+   */
+  countPromptTokens(modelName, messages) {
+    return this.countTokens(modelName, messages.map(m => m.content || '').join('\n'));
+  }
+
+  /**
+   * Count the tokens of generated text
+   * @returns {Object|null} { tokens, method, encoding } where method is 'tokenizer' (exact vocabulary)
+   *   or 'estimate' (approximate vocabulary); null if no encoding could be loaded
+   */
+  async countTokens(modelName, text) {
+    const { encoding, exact } = this.getEncodingInfo(modelName);
+
+    try {
+      const { countTokens } = await this.loadEncoding(encoding);
+      return {
+        tokens: text ? countTokens(text) : 0,
+        method: exact ? 'tokenizer' : 'estimate',
+        encoding
+      };
+    } catch (error) {
+      this.encodings.delete(encoding);
+      logger.warn('Failed to load tokenizer', { encoding, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Cut text down to at most `maxTokens` tokens (used to build prompts of an exact length)
+   * Falls back to roughly four characters per token if no encoding could be loaded
+   */
+  async truncateToTokens(modelName, text, maxTokens) {
+    const { encoding } = this.getEncodingInfo(modelName);
+
+    try {
+      const { encode, decode } = await this.loadEncoding(encoding);
+      return decode(encode(text).slice(0, maxTokens));
+    } catch (error) {
+      this.encodings.delete(encoding);
+      logger.warn('Failed to load tokenizer, truncating by characters', { encoding, error: error.message });
+      return text.slice(0, maxTokens * 4);
+    }
+  }
+}
+
+export default new Tokenizer();
@@ -0,0 +1,184 @@
+/**
+ * Checks generated output against the `expected` rules of a scenario
+ *
+ * Scenario format (one rule or an array of rules; every rule must pass):
+ *   "expected": "Paris"                                          (shorthand for contains)
+ *   "expected": { "type": "exact", "value": "Paris", "case_sensitive": false }
+ *   "expected": { "type": "contains", "value": ["def", "return"] }
+ *   "expected": { "type": "regex", "pattern": "def\\s+\\w+\\(", "flags": "i" }
+ *   "expected": { "type": "numeric", "value": 300, "tolerance": 0.5, "match": "any" | "first" | "last" }
+ *   "expected": { "type": "json_schema", "schema": { "type": "object", "required": ["name"] } }
+ */
+class OutputValidator {
+  /**
+   * Normalize the `expected` definition into a list of rules
+   */
+  getRules(expected) {
+    if (expected === undefined || expected === null || expected === '') {
+      return [];
+    }
+    const rules = Array.isArray(expected) ? expected : [expected];
+    return rules.map(rule => typeof rule === 'string' ? { type: 'contains', value: rule } : rule);
+  }
+
+  /**
+   * Evaluate generated text against the expected rules
+   * @returns {Object|null} { passed, checks: [{ type, passed, detail }] }; null if there are no rules
+   */
+  evaluate(text, expected) {
+    const rules = this.getRules(expected);
+    if (rules.length === 0) {
+      return null;
+    }
+
+    const checks = rules.map(rule => {
+      try {
+        return { type: rule.type, ...this.check(text || '', rule) };
+      } catch (error) {
+        return { type: rule.type, passed: false, detail: error.message };
+      }
+    });
+
+    return {
+      passed: checks.every(c => c.passed),
+      checks
+    };
+  }
+
+  /**
+   * Run one rule
+   * @returns {Object} { passed, detail }
+   */
+  check(text, rule) {
+    const caseSensitive = Boolean(rule.case_sensitive);
+    const normalize = (value) => caseSensitive ? String(value) : String(value).toLowerCase();
+
+    switch (rule.type) {
+      case 'exact': {
+        const passed = normalize(text.trim()) === normalize(String(rule.value).trim());
+        return { passed, detail: passed ? null : `Expected exactly "${rule.value}"` };
+      }
+
+      case 'contains': {
+        const values = Array.isArray(rule.value) ? rule.value : [rule.value];
+        const missing = values.filter(value => !normalize(text).includes(normalize(value)));
+        return { passed: missing.length === 0, detail: missing.length ? `Missing "${missing.join('", "')}"` : null };
+      }
+
+      case 'regex': {
+        const passed = new RegExp(rule.pattern, rule.flags || '').test(text);
+        return { passed, detail: passed ? null : `No match for /${rule.pattern}/${rule.flags || ''}` };
+      }
+
+      case 'numeric': {
+        const numbers = (text.replace(/(\d),(?=\d{3}\b)/g, '$1').match(/-?\d+(?:\.\d+)?/g) || []).map(Number);
+        const match = rule.match || 'any';
+        const candidates = match === 'first' ? numbers.slice(0, 1)
+          : match === 'last' ? numbers.slice(-1)
+          : numbers;
+        const tolerance = rule.tolerance ?? 0;
+        const found = candidates.find(n => Math.abs(n - rule.value) <= tolerance);
+        return {
+          passed: found !== undefined,
+          detail: found !== undefined ? null : `No ${match === 'any' ? '' : match + ' '}number within ${tolerance} of ${rule.value}`
+        };
+      }
+
+      case 'json_schema': {
+        const value = this.extractJson(text);
+        const errors = this.validateSchema(value, rule.schema || {}, '$');
+        return { passed: errors.length === 0, detail: errors.length ? errors.slice(0, 3).join('; ') : null };
+      }
+
+      default:
+        throw new Error(`Unknown expected rule type "${rule.type}"`);
+    }
+  }
+
+  /**
+   * Parse JSON from generated text (the whole text, a ```json fence, or the first {...} / [...] block)
+   */
+  extractJson(text) {
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const candidates = [text.trim(), fenced?.[1]?.trim()];
+
+    const start = text.search(/[{[]/);
+    if (start !== -1) {
+      const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+      candidates.push(text.slice(start, end + 1));
+    }
+
+    for (const candidate of candidates.filter(Boolean)) {
+      try {
+        return JSON.parse(candidate);
+      } catch {
+        // Try the next candidate
+      }
+    }
+    throw new Error('Output is not valid JSON');
+  }
+
+  /**
+   * Validate a value against a JSON Schema subset: type, enum, const, required, properties,
+   * additionalProperties: false, items, minItems/maxItems, minLength/maxLength/pattern, minimum/maximum
+   * @returns {Array<string>} Validation errors
+   */
+  validateSchema(value, schema, at) {
+    const errors = [];
+    const typeOf = (v) => v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v;
+
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      const actual = typeOf(value);
+      const matches = types.some(t => t === actual || (t === 'integer' && Number.isInteger(value)));
+      if (!matches) {
+        return [`${at} should be ${types.join(' or ')}, got ${actual}`];
+      }
+    }
+
+    if (schema.enum && !schema.enum.some(e => JSON.stringify(e) === JSON.stringify(value))) {
+      errors.push(`${at} should be one of ${JSON.stringify(schema.enum)}`);
+    }
+    if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+      errors.push(`${at} should be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeOf(value) === 'object') {
+      for (const key of schema.required || []) {
+        if (!(key in value)) errors.push(`${at}.${key} is required`);
+      }
+      for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+        if (key in value) errors.push(...this.validateSchema(value[key], propSchema, `${at}.${key}`));
+      }
+      if (schema.additionalProperties === false) {
+        const allowed = new Set(Object.keys(schema.properties || {}));
+        for (const key of Object.keys(value).filter(k => !allowed.has(k))) {
+          errors.push(`${at}.${key} is not allowed`);
+        }
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at} should have at least ${schema.minItems} items`);
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at} should have at most ${schema.maxItems} items`);
+      if (schema.items) {
+        value.forEach((item, idx) => errors.push(...this.validateSchema(item, schema.items, `${at}[${idx}]`)));
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at} should be at least ${schema.minLength} characters`);
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at} should be at most ${schema.maxLength} characters`);
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at} should match /${schema.pattern}/`);
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} should be >= ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} should be <= ${schema.maximum}`);
+    }
+
+    return errors;
+  }
+}
+
+export default new OutputValidator();